@@ -0,0 +1,24 @@
+/**
+ * Sanity check for the wall-clock schedule maths in src/utils/schedule.js.
+ *
+ * A time skipped by a spring-forward change must come out an hour LATER, on
+ * whichever side of UTC the zone is: the offset correction behind it goes wrong
+ * in opposite directions east and west of UTC, so one zone of each is checked.
+ * Run with `npm test`; exits non-zero on the first mismatch.
+ */
+import assert from 'node:assert/strict';
+import { nextScheduled, parseSchedule } from '../src/utils/schedule.js';
+
+const skipped = parseSchedule('02:30');
+const cases = [
+  // 2026-03-08 02:00 EST jumps to 03:00 EDT: 02:30 runs at 03:30 EDT.
+  { zone: 'America/New_York', from: '2026-03-08T00:00:00Z', expected: '2026-03-08T07:30:00.000Z' },
+  // 2026-03-29 02:00 CET jumps to 03:00 CEST: 02:30 runs at 03:30 CEST.
+  { zone: 'Europe/Berlin', from: '2026-03-29T00:00:00Z', expected: '2026-03-29T01:30:00.000Z' }
+];
+
+for (const { zone, from, expected } of cases) {
+  const actual = new Date(nextScheduled(skipped, zone, Date.parse(from))).toISOString();
+  assert.equal(actual, expected, `02:30 on the spring-forward night in ${zone}`);
+  console.log(`ok - ${zone}: 02:30 on the spring-forward night runs at ${actual}`);
+}
@@ -21,5 +21,8 @@
  * preserves the public import path './actions.js' for every consumer.
  */
 export { gracefulShutdown, doStop, doKill } from './actions/stop.js';
-export { doStart } from './actions/start.js';
-export { doBounce, doScheduledRestart } from './actions/restart.js';
+export { doStart, doRecover } from './actions/start.js';
+export { doBounce, doScheduledRestart, doArmRestart, doCancelRestart, doApplyPreset, doRestoreBackup } from './actions/restart.js';
+export { doKick, doBan, doUnban } from './actions/moderation.js';
+export { doOpeningStart, doClosingStop } from './actions/hours.js';
+export { doMaintenance } from './actions/maintenance.js';
@@ -0,0 +1,41 @@
+import { announceServerEvent } from '../monitor.js';
+import config from '../config/index.js';
+import { withLockResult } from './shared.js';
+import { doStart } from './start.js';
+import { gracefulShutdown, doKill } from './stop.js';
+
+/**
+ * Starts the server as an operating-hours window opens. Invoked by the monitor
+ * (monitor/hours.js), never by a person, so it runs doStart as the configured
+ * host actor and is announced like any other start - but not as a manual start,
+ * so it does not turn crash recovery back on after a crash loop.
+ * @returns {Promise<{success: boolean, message: string, embedTitle?: string}>}
+ */
+export async function doOpeningStart() {
+  return doStart({ actor: config.discord.hostActorName });
+}
+
+/**
+ * Stops the server at closing time, under the shared lock, and says why in the
+ * announce channel. Invoked by the monitor (monitor/hours.js).
+ *
+ * The polite stop is gracefulShutdown's, so it refuses while players are online
+ * and the monitor simply asks again later. The forced one ends a closing-time
+ * countdown, the players having been warned: it stops the server the doKill way,
+ * online or not, with its own announcement in place of doKill's.
+ * @param {{ force?: boolean }} [options] - force stops it with players online
+ * @returns {Promise<{success: boolean, message: string, forced?: boolean}>}
+ */
+export async function doClosingStop({ force = false } = {}) {
+  return withLockResult(async () => {
+    const result = force
+      ? await doKill({ actor: config.discord.hostActorName, message: 'Server closing now!', announce: false })
+      : await gracefulShutdown();
+    if (result.success) {
+      await announceServerEvent(result.forced
+        ? '🌙 Closing time — the clean stop did not take, so the server was force-stopped.'
+        : '🌙 Closing time — the server was stopped.');
+    }
+    return result;
+  });
+}
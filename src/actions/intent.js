@@ -0,0 +1,46 @@
+/**
+ * Stop intent
+ *
+ * To the monitor, a server the bot just stopped and a server that died on its
+ * own look exactly alike: the REST API stops answering. The actions layer
+ * therefore records that it is about to take the server down, right before it
+ * asks for the shutdown or kills the process, and the monitor asks here before
+ * it calls a DOWN a crash.
+ *
+ * The intent expires on its own - a stop that did not take must not excuse a
+ * genuine crash hours later - after the longest a real stop can take to show up:
+ * the stop's own timeout plus one full monitor interval for the poll to notice.
+ *
+ * Deliberately depends on nothing but config, so the monitor can import it
+ * without closing an import cycle through actions.js.
+ */
+import config from '../config/index.js';
+
+// Moment the last stop was requested; 0 when none is pending.
+let expectedAt = 0;
+
+/**
+ * Records that the bot is about to stop the server. Call immediately before
+ * the REST shutdown or the force kill.
+ */
+export function expectStop() {
+  expectedAt = Date.now();
+}
+
+/**
+ * Forgets any recorded intent. Called by the monitor once it has accounted for
+ * a DOWN, and when the server comes back up.
+ */
+export function clearStopIntent() {
+  expectedAt = 0;
+}
+
+/**
+ * Whether the bot asked for the server to stop recently enough that a DOWN now
+ * is that stop taking effect rather than a crash.
+ * @returns {boolean} True while a recorded stop is still within its window
+ */
+export function stopWasExpected() {
+  if (!expectedAt) return false;
+  return Date.now() - expectedAt <= config.timing.stopTimeoutMs + config.monitoring.intervalMs;
+}
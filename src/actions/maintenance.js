@@ -0,0 +1,61 @@
+import { announceServerEvent, cancelRecovery } from '../monitor.js';
+import { getMaintenance, setMaintenance } from '../maintenance.js';
+import { restartCountdownStatus, cancelRestartCountdown } from '../autorestart.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { shouldAnnounce } from './shared.js';
+import { tellPlayersCancelled } from './restart.js';
+
+/**
+ * Turns maintenance mode on or off (see maintenance.js) and says so in the
+ * announce channel. Takes no lock: it changes no server state, only whether the
+ * bot's own automation may.
+ *
+ * Turning it on also drops what that automation already has under way: a
+ * relaunch crash recovery has pending, and any restart or closing countdown,
+ * with an in-game notice so the players hear it is off. Unlike /palrestart
+ * cancel this starts no hold-off on automatic restarts: maintenance already keeps
+ * them from re-arming, and the schedule should resume as normal once it ends.
+ * @param {{ on: boolean, reason?: string|null, actor: string, originChannelId?: string }} options
+ *   reason is kept and shown while maintenance is on; actor is recorded and named
+ *   in the announcement; originChannelId suppresses it per shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doMaintenance({ on, reason = null, actor, originChannelId }) {
+  const current = getMaintenance();
+  if (!on && !current.on) return { success: false, message: 'Maintenance mode is already off.' };
+
+  try {
+    setMaintenance(on
+      ? { on: true, reason, by: actor, since: current.on ? current.since : new Date().toISOString() }
+      : { on: false });
+  } catch (e) {
+    return { success: false, message: `Maintenance mode not changed: \`${sanitizeErrorMessage(e)}\`` };
+  }
+
+  if (!on) {
+    if (shouldAnnounce(originChannelId)) await announceServerEvent(`✅ ${actor} ended maintenance.`);
+    return { success: true, message: 'Maintenance mode is **off**; the bot looks after the server again.' };
+  }
+
+  // Already on: only the reason changed, and there is nothing more to cancel.
+  if (current.on) return { success: true, message: 'Maintenance mode was already on; its reason is updated.' };
+
+  cancelRecovery('maintenance mode');
+  const notes = [];
+  const countdown = restartCountdownStatus();
+  if (countdown?.inFlight) {
+    notes.push('The restart already under way was left to finish.');
+  } else if (countdown) {
+    cancelRestartCountdown('maintenance mode');
+    await tellPlayersCancelled(countdown);
+    notes.push('The countdown under way was cancelled.');
+  }
+  if (shouldAnnounce(originChannelId)) {
+    await announceServerEvent(`🛠️ ${actor} put the server into maintenance${reason ? `: ${reason}` : '.'}`);
+  }
+  return {
+    success: true,
+    message: ['Maintenance mode is **on**: the bot will not stop, restart or relaunch the server on its own, '
+      + 'and only admins can `/palstart`.', ...notes].join('\n')
+  };
+}
@@ -0,0 +1,108 @@
+import { kickPlayer, banPlayer, unbanPlayer } from '../palworld.js';
+import { recordBan, removeBan } from '../banlist.js';
+import { announceServerEvent } from '../monitor.js';
+import { escapeName } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { shouldAnnounce } from './shared.js';
+
+const logger = createLogger('Actions');
+
+/**
+ * Kicks one connected player and posts the kick to the announce channel.
+ *
+ * Deliberately NOT run under the shared lock: a kick touches no server lifecycle
+ * state, and a griefer must be removable even while a long stop or update holds
+ * the lock.
+ * @param {{ userId: string, name: string, reason: string, actor?: string, originChannelId?: string }} options
+ *   userId is the platform id the REST API kicks by; name is only for the messages;
+ *   reason is shown to the kicked player and in the announcement; originChannelId
+ *   suppresses the announcement per shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doKick({ userId, name, reason, actor, originChannelId }) {
+  try {
+    await kickPlayer(userId, reason);
+  } catch (e) {
+    return { success: false, message: `Kick failed: \`${sanitizeErrorMessage(e)}\`` };
+  }
+
+  logger.info(`Kicked ${name} (${userId}) for ${actor}: ${reason}`);
+
+  if (shouldAnnounce(originChannelId)) {
+    await announceServerEvent(`👢 **${escapeName(name)}** was kicked by ${actor}: ${reason}`);
+  }
+
+  return { success: true, message: `Kicked **${escapeName(name)}**: ${reason}` };
+}
+
+/**
+ * Bans a player on the server and records the ban in the ledger (banlist.js), so
+ * it can be re-applied after a wipe. The server ban goes first: a ledger entry for
+ * a ban the server refused would be a lie. Not locked, for the same reason as doKick.
+ * @param {{ userId: string, name: string, reason: string, actor?: string, originChannelId?: string }} options
+ *   userId is the platform id the REST API bans by; name is recorded in the ledger
+ *   and used in the messages; originChannelId suppresses the announcement per
+ *   shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doBan({ userId, name, reason, actor, originChannelId }) {
+  try {
+    await banPlayer(userId, reason);
+  } catch (e) {
+    return { success: false, message: `Ban failed: \`${sanitizeErrorMessage(e)}\`` };
+  }
+
+  logger.info(`Banned ${name} (${userId}) for ${actor}: ${reason}`);
+
+  try {
+    recordBan({ userId, name, bannedAt: new Date().toISOString(), bannedBy: actor, reason });
+  } catch (e) {
+    // The server ban already took, so report success - but say plainly that it
+    // will not survive a wipe.
+    logger.error(`Ban ledger write failed: ${sanitizeErrorMessage(e)}`);
+    return {
+      success: true,
+      message: `Banned **${escapeName(name)}** on the server, but the ban ledger could not be written - it will not be re-applied after a wipe.`
+    };
+  }
+
+  if (shouldAnnounce(originChannelId)) {
+    await announceServerEvent(`🔨 **${escapeName(name)}** was banned by ${actor}: ${reason}`);
+  }
+
+  return { success: true, message: `Banned **${escapeName(name)}**: ${reason}` };
+}
+
+/**
+ * Lifts a ban on the server and drops it from the ledger. The ledger entry is
+ * removed only once the server has accepted the unban, otherwise the next
+ * reapplyBans() pass would be the only record left of a ban still in force.
+ * @param {{ userId: string, name: string, actor?: string, originChannelId?: string }} options
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doUnban({ userId, name, actor, originChannelId }) {
+  try {
+    await unbanPlayer(userId);
+  } catch (e) {
+    return { success: false, message: `Unban failed: \`${sanitizeErrorMessage(e)}\`` };
+  }
+
+  logger.info(`Unbanned ${name} (${userId}) for ${actor}`);
+
+  try {
+    removeBan(userId);
+  } catch (e) {
+    logger.error(`Ban ledger write failed: ${sanitizeErrorMessage(e)}`);
+    return {
+      success: true,
+      message: `Unbanned **${escapeName(name)}** on the server, but the ban ledger could not be updated - the ban will come back the next time the server starts.`
+    };
+  }
+
+  if (shouldAnnounce(originChannelId)) {
+    await announceServerEvent(`**${escapeName(name)}** was unbanned by ${actor}.`);
+  }
+
+  return { success: true, message: `Unbanned **${escapeName(name)}**.` };
+}
@@ -1,14 +1,29 @@
+import { isUp, announce } from '../palworld.js';
 import { announceServerEvent } from '../monitor.js';
+import { getPreset, presetChanges } from '../presets.js';
+import { readWorldSettings } from '../worldsettings.js';
+import { stageSettings } from '../pendingsettings.js';
+import { getBackup, restoreBackup } from '../backup.js';
+import { discordTimestamp } from '../embeds.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
 import { sleep } from '../utils/async.js';
+import { createLogger } from '../utils/logger.js';
 import config from '../config/index.js';
-import { withLockResult, startAndReport, announceAction } from './shared.js';
+import { armAdminRestart, restartCountdownStatus, cancelRestartByAdmin } from '../autorestart.js';
+import {
+  withLockResult, startAndReport, shouldAnnounce, announceAction, applyStagedSettings, applyStagedSettingsWithStatus, serverIsFullyDown
+} from './shared.js';
 import { gracefulShutdown, doKill } from './stop.js';
 
+// Logger instance for this module
+const logger = createLogger('Actions');
+
 /**
- * The stop -> wait -> start pipeline shared by doBounce and doScheduledRestart.
- * They differ only in HOW they stop, how they phrase the outcome and how they
- * announce it, so all of that is passed in and the sequencing lives here once.
+ * The stop -> wait -> apply staged settings -> start pipeline shared by doBounce,
+ * doScheduledRestart, doApplyPreset and doRestoreBackup.
+ * They differ only in HOW they stop, what else they do while the server is down,
+ * how they phrase the outcome and how they announce it, so all of that is passed
+ * in and the sequencing lives here once.
  * Assumes the caller already holds the shared lock.
  * @param {object} options
  * @param {() => Promise<{success: boolean, message: string, forced?: boolean}>} options.stop -
@@ -19,12 +34,15 @@ import { gracefulShutdown, doKill } from './stop.js';
  * @param {string} [options.embedTitle] - Embed title to attach to a successful result
  * @param {(stopResult: object) => Promise<void>} options.announceSuccess - Posts the success announcement
  * @param {() => Promise<void>} [options.announceFailure] - Posts the "stopped but could not start" announcement
+ * @param {() => Promise<string>} [options.whileDown] - Work that needs the server
+ *   stopped, run just before the staged settings; must not throw, and returns a
+ *   line for the result (or '')
  * @param {(message: string) => (void|Promise<void>)} [options.onProgress] - Progress sink
  * @returns {Promise<{success: boolean, message: string, embedTitle?: string}>}
  * @private
  */
 async function runRestartPipeline({
-  stop, abortPrefix, failurePrefix, successMessage, embedTitle, announceSuccess, announceFailure, onProgress
+  stop, abortPrefix, failurePrefix, successMessage, embedTitle, announceSuccess, announceFailure, whileDown, onProgress
 }) {
   const stopResult = await stop();
   if (!stopResult.success) {
@@ -39,8 +57,14 @@ async function runRestartPipeline({
   }
   await sleep(config.timing.bounceDelayMs);
 
+  // The server is down, so the caller's own work and the staged /palconfig
+  // changes can be written now and the start below loads them.
+  const whileDownNote = whileDown ? await whileDown() : '';
+  const settingsNote = [whileDownNote, await applyStagedSettings(onProgress)].filter(Boolean).join('\n');
+
   try {
-    const message = await startAndReport(successMessage, onProgress);
+    const started = await startAndReport(successMessage, onProgress);
+    const message = settingsNote ? `${started}\n${settingsNote}` : started;
 
     await announceSuccess(stopResult);
 
@@ -48,7 +72,8 @@ async function runRestartPipeline({
   } catch (e) {
     // The server is already down at this point, so name the start failure exactly
     if (announceFailure) await announceFailure();
-    return { success: false, message: `${failurePrefix}\`${sanitizeErrorMessage(e)}\`` };
+    const message = `${failurePrefix}\`${sanitizeErrorMessage(e)}\``;
+    return { success: false, message: settingsNote ? `${message}\n${settingsNote}` : message };
   }
 }
 
@@ -81,8 +106,9 @@ export async function doBounce({ actor, originChannelId, onProgress } = {}) {
 /**
  * Runs the scheduled auto-restart under the shared lock: save -> settle -> clean
  * shutdown -> force kill if that did not take -> wait -> start. Invoked by the
- * countdown timers armed in autorestart.js, never by a person, so it takes no
- * actor and reports only a summary.
+ * countdown timers armed in autorestart.js, never by a person directly, and
+ * reports only a summary. A countdown an admin armed with /palrestart (see
+ * doArmRestart) passes their name and reason along for that summary.
  *
  * Unlike doBounce this MUST complete once it is due, so it stops through doKill,
  * which never refuses over a player count and escalates to a force kill only when
@@ -103,20 +129,226 @@ export async function doBounce({ actor, originChannelId, onProgress } = {}) {
  * touch that in-game broadcast.
  *
  * A busy lock returns the standard failure result, which the countdown treats as a
- * failed restart and holds off re-arming until a full interval has passed.
+ * failed restart. For the automatic restart that holds off re-arming until a full
+ * interval has passed; an admin's failed restart leaves the schedule alone.
+ * @param {{ actor?: string, reason?: string|null }} [options] - Admin who armed
+ *   the countdown and why; omitted for the automatic restart
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export async function doScheduledRestart() {
+export async function doScheduledRestart({ actor, reason } = {}) {
+  const what = actor
+    ? `Restart requested by ${actor}${reason ? ` (${reason})` : ''}`
+    : 'Scheduled restart';
   return withLockResult(() => runRestartPipeline({
-    stop: () => doKill({ actor: 'the scheduled restart', message: 'Server restarting now!', announce: false }),
-    abortPrefix: 'Scheduled restart aborted — ',
-    failurePrefix: 'Scheduled restart failed after stop: ',
-    successMessage: 'Scheduled restart completed.',
+    stop: () => doKill({ actor: actor ?? 'the scheduled restart', message: config.autoRestart.nowMessage, announce: false }),
+    abortPrefix: `${what} aborted — `,
+    failurePrefix: `${what} failed after stop: `,
+    successMessage: `${what} completed.`,
     announceSuccess: (stopResult) => announceServerEvent(
       stopResult.forced
-        ? '🔁 Scheduled restart complete — the clean stop did not take, so the server was force-stopped.'
-        : '🔁 Scheduled restart complete — the server was gracefully stopped and restarted.'
+        ? `🔁 ${what} complete — the clean stop did not take, so the server was force-stopped.`
+        : `🔁 ${what} complete — the server was gracefully stopped and restarted.`
     ),
-    announceFailure: () => announceServerEvent('⚠️ Scheduled restart stopped the server but could not start it again. See logs.')
+    announceFailure: () => announceServerEvent(`⚠️ ${what} stopped the server but could not start it again. See logs.`)
   }));
 }
+
+/**
+ * Arms a restart an admin asked for, in a given number of minutes. The
+ * countdown is autorestart.js's own: players hear about it straight away, with
+ * the reason, then at each configured warning that still fits, and at the end
+ * doScheduledRestart restarts the server whether or not anyone is online.
+ *
+ * Takes no lock: arming only sets timers, and the restart takes the lock itself
+ * when it falls due. Refused while the server is down, or while another restart
+ * - automatic or not - is already counting down.
+ * @param {{ minutes: number, reason?: string|null, actor: string, originChannelId?: string }} options
+ *   actor and reason are broadcast and kept for /palrestart status;
+ *   originChannelId suppresses the announcement per shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doArmRestart({ minutes, reason = null, actor, originChannelId }) {
+  if (!(await isUp())) {
+    return { success: false, message: 'Server is **DOWN** — there is nothing to restart. Use `/palstart`.' };
+  }
+
+  const armed = armAdminRestart(
+    { seconds: minutes * 60, actor, reason },
+    () => doScheduledRestart({ actor, reason })
+  );
+  if (!armed) {
+    const pending = restartCountdownStatus();
+    return {
+      success: false,
+      message: `A restart is already counting down${pending ? ` (${pending.trigger}, ${discordTimestamp(pending.dueAt, 'R')})` : ''}. `
+        + 'Cancel it with `/palrestart cancel` first.'
+    };
+  }
+
+  const when = `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  if (shouldAnnounce(originChannelId)) {
+    await announceServerEvent(`⏳ ${actor} scheduled a restart ${when}${reason ? `: ${reason}` : '.'}`);
+  }
+  return { success: true, message: `Restart scheduled ${when} (${discordTimestamp(Date.now() + minutes * 60000, 'R')}). Players have been warned.` };
+}
+
+/**
+ * Cancels the restart counting down, whoever armed it, and tells the players
+ * and the announce channel. Cancelling an automatic restart holds automatic
+ * restarts off for a full interval, and cancelling the closing-time stop keeps
+ * the server up until the next closing (see autorestart.cancelRestartByAdmin).
+ * Refused once the restart or stop itself is running.
+ * @param {{ actor: string, originChannelId?: string }} options
+ *   actor is named in the announcement; originChannelId suppresses it per
+ *   shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doCancelRestart({ actor, originChannelId }) {
+  if (!restartCountdownStatus()) return { success: false, message: 'No restart is counting down.' };
+  const cancelled = cancelRestartByAdmin(actor);
+  if (!cancelled) return { success: false, message: 'The restart is already under way and can no longer be cancelled.' };
+
+  const closing = cancelled.action === 'stop';
+  await tellPlayersCancelled(cancelled);
+  const what = closing ? 'the closing-time shutdown'
+    : cancelled.actor ? `the restart ${cancelled.actor} scheduled` : 'the scheduled restart';
+  if (shouldAnnounce(originChannelId)) await announceServerEvent(`✋ ${actor} cancelled ${what}.`);
+
+  return {
+    success: true,
+    message: closing ? 'Closing-time shutdown cancelled. The server stays up until the next closing time.'
+      : cancelled.actor ? 'Restart cancelled.'
+        : `Restart cancelled. Automatic restarts are held off for ${config.autoRestart.intervalHours}h.`
+  };
+}
+
+/**
+ * Tells the players in game that a countdown they were warned about is off.
+ * Best-effort: the countdown is cancelled whether or not they heard it.
+ * Shared with actions/maintenance.js; not re-exported from the actions barrel.
+ * @param {{ action: string }} cancelled - The countdown's status before it was cancelled
+ * @returns {Promise<void>}
+ */
+export async function tellPlayersCancelled(cancelled) {
+  try {
+    await announce(cancelled.action === 'stop'
+      ? 'The closing-time shutdown has been cancelled.' : 'The server restart has been cancelled.');
+  } catch (e) {
+    logger.warn(`Could not broadcast the restart cancellation: ${sanitizeErrorMessage(e)}`);
+  }
+}
+
+/**
+ * Swaps a saved world-settings preset in through a clean restart, under the
+ * shared lock. Every setting the preset changes is staged like a /palconfig set
+ * (replacing any staged value for the same key), and then the doBounce sequence
+ * runs: graceful stop -> wait -> write the staged settings -> start.
+ *
+ * The stop is the graceful one, so it refuses while players are online. The
+ * preset then stays staged and is written at the next restart or start, and the
+ * message says so - /palconfig clear drops it. A server that is already down
+ * needs no restart at all: the settings are written straight away and load at
+ * the next start. Should that write fail, the result is a failure and the
+ * preset stays staged, as after a refused stop.
+ * @param {{ name: string, actor?: string, originChannelId?: string, onProgress?: (message: string) => (void|Promise<void>) }} options
+ *   name is the preset to apply; actor is recorded on the staged changes and
+ *   named in the announcement; originChannelId suppresses the announcement per
+ *   shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string, embedTitle?: string}>}
+ */
+export async function doApplyPreset({ name, actor, originChannelId, onProgress }) {
+  return withLockResult(async () => {
+    const preset = getPreset(name);
+    if (!preset) return { success: false, message: 'No preset by that name. See `/palpreset list`.' };
+
+    let changes;
+    try {
+      changes = presetChanges(preset, readWorldSettings().entries);
+      const stagedAt = new Date().toISOString();
+      if (changes.length) stageSettings(changes.map(c => ({ key: c.key, value: c.to, stagedBy: actor, stagedAt })));
+    } catch (e) {
+      return { success: false, message: `Preset not applied: \`${sanitizeErrorMessage(e)}\`` };
+    }
+    if (changes.length === 0) {
+      return { success: true, message: `The settings file already matches **${preset.name}** — nothing to apply.` };
+    }
+
+    if (!(await isUp())) {
+      const { applied, note } = await applyStagedSettingsWithStatus(onProgress);
+      if (!applied) {
+        return { success: false, message: `Preset **${preset.name}** is still staged, not in the settings file yet.\n${note}` };
+      }
+      return { success: true, message: `Preset **${preset.name}** is in the settings file and loads at the next start.\n${note}` };
+    }
+
+    return runRestartPipeline({
+      stop: gracefulShutdown,
+      abortPrefix: `Preset **${preset.name}** is staged for the next restart, but this one was aborted — `,
+      failurePrefix: `Preset **${preset.name}**: restart failed after stop: `,
+      successMessage: `Preset **${preset.name}** applied and the server restarted.`,
+      embedTitle: 'Server Restarted',
+      announceSuccess: () => announceAction(actor, `applied the **${preset.name}** preset and restarted`, originChannelId),
+      onProgress
+    });
+  });
+}
+
+/**
+ * Puts a world backup back in place, under the shared lock. A running server is
+ * stopped the doKill way - saved and shut down cleanly, force-killed only if
+ * that does not take, players online or not - then the backup is restored while
+ * it is down (the replaced saves are kept as a 'pre-restore' backup, see
+ * backup.restoreBackup) and the server is started again, through the same
+ * pipeline as doBounce.
+ *
+ * A server already stopped is only restored, not started: the world loads at
+ * the next start, as with doApplyPreset. A restore that fails leaves the world
+ * untouched; the server is still started again and the result is a failure that
+ * says why.
+ * @param {{ id: string, actor?: string, originChannelId?: string, onProgress?: (message: string) => (void|Promise<void>) }} options
+ *   id is the backup to restore; actor is named in the in-game broadcast and the
+ *   announcement; originChannelId suppresses the announcement per shouldAnnounce
+ * @returns {Promise<{success: boolean, message: string, embedTitle?: string}>}
+ */
+export async function doRestoreBackup({ id, actor, originChannelId, onProgress }) {
+  return withLockResult(async () => {
+    const backup = getBackup(id);
+    if (!backup) return { success: false, message: 'No backup by that id. See `/palbackup list`.' };
+
+    let restored = false;
+    const restore = async () => {
+      if (onProgress) await onProgress(`Restoring backup \`${backup.id}\`...`);
+      try {
+        const { safety, leftAt } = await restoreBackup(backup.id);
+        restored = true;
+        const kept = safety
+          ? `the replaced world was kept as backup \`${safety.id}\``
+          : leftAt ? `⚠️ the replaced world could not be filed as a backup and was left at \`${leftAt}\`` : 'there was no world to replace';
+        return `📦 Restored backup \`${backup.id}\`; ${kept}.`;
+      } catch (e) {
+        return `⚠️ Backup \`${backup.id}\` was NOT restored: \`${sanitizeErrorMessage(e)}\`. The world is unchanged.`;
+      }
+    };
+
+    if (await serverIsFullyDown()) {
+      const note = await restore();
+      if (restored && shouldAnnounce(originChannelId)) {
+        await announceServerEvent(`📦 ${actor} restored the world from backup \`${backup.id}\`; it loads at the next start.`);
+      }
+      return { success: restored, message: restored ? `${note}\nIt loads at the next start.` : note };
+    }
+
+    const result = await runRestartPipeline({
+      stop: () => doKill({ actor, message: `Server restarting: ${actor} is restoring a backup.`, announce: false }),
+      abortPrefix: 'Restore aborted — ',
+      failurePrefix: 'Restore: restart failed after stop: ',
+      successMessage: 'Server restarted.',
+      embedTitle: 'Server Restarted',
+      whileDown: restore,
+      announceSuccess: () => announceAction(actor,
+        restored ? `restored the world from backup \`${backup.id}\` and restarted` : 'restarted', originChannelId),
+      onProgress
+    });
+    return restored ? result : { ...result, success: false };
+  });
+}
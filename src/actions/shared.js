@@ -1,12 +1,18 @@
-import { saveWorld, shutdown, isUp } from '../palworld.js';
+import { saveWorld, shutdown, isUp, getMetrics } from '../palworld.js';
 import { startServer } from '../process.js';
 import { isServerProcessRunning } from '../servercontrol.js';
-import { setServerUp, announceServerEvent } from '../monitor.js';
+import { setServerUp, announceServerEvent, enforceAllowlist } from '../monitor.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
 import { sleep, waitFor } from '../utils/async.js';
 import { withLock } from '../lock.js';
+import { listPendingSettings, applyPendingSettings } from '../pendingsettings.js';
+import { backupsEnabled, takeBackup } from '../backup.js';
+import { expectStop } from './intent.js';
 import config from '../config/index.js';
 
+const logger = createLogger('Actions');
+
 /**
  * How long to wait, after a successful force kill, for the server to actually
  * disappear before trusting the kill. A killed process and its REST listener
@@ -82,9 +88,61 @@ export async function startAndReport(successMessage, onProgress) {
   // Notify monitor that server is now up
   await setServerUp();
 
+  // Enforce the allowlist from the moment the server answers rather than from
+  // the first monitor poll. Best-effort, never throws.
+  await enforceAllowlist();
+
   return updateWarning ? `${successMessage}\n${updateWarning}` : successMessage;
 }
 
+/**
+ * Writes the world-settings changes staged with /palconfig into
+ * PalWorldSettings.ini. Called at the two moments the server is known to be
+ * stopped and about to start - between the stop and the start of the restart
+ * pipeline, and before doStart launches - so the start that follows loads them.
+ *
+ * Re-checks that the server is fully down first: a server still holding the file
+ * would not read the changes, and a later save of its own could clobber them.
+ * Never throws; a failure leaves the changes staged for the next restart and is
+ * returned as a line for the caller to append to its result.
+ * @param {(message: string) => (void|Promise<void>)} [onProgress] - Progress sink
+ * @returns {Promise<string>} A line describing what happened, or '' when nothing was staged
+ */
+export async function applyStagedSettings(onProgress) {
+  return (await applyStagedSettingsWithStatus(onProgress)).note;
+}
+
+/**
+ * applyStagedSettings, for a caller whose own outcome depends on whether the
+ * staged changes actually reached the file - doApplyPreset on a stopped server.
+ * @param {(message: string) => (void|Promise<void>)} [onProgress] - Progress sink
+ * @returns {Promise<{applied: boolean, note: string}>} applied is false when
+ *   changes were staged but stay pending; true otherwise, including when nothing
+ *   was staged. note is applyStagedSettings' line
+ */
+export async function applyStagedSettingsWithStatus(onProgress) {
+  if (listPendingSettings().length === 0) return { applied: true, note: '' };
+
+  try {
+    if (!(await serverIsFullyDown())) {
+      return { applied: false, note: '⚠️ Staged settings were NOT applied: the server still looked up. They stay pending.' };
+    }
+    if (onProgress) await onProgress('Applying staged world settings...');
+
+    const { applied, skipped } = applyPendingSettings();
+    const keys = (changes) => changes.map(c => `\`${c.key}\``).join(', ');
+    logger.info(`Applied ${applied.length} staged setting(s): ${applied.map(c => `${c.key}=${c.value}`).join(', ')}`);
+
+    const lines = [];
+    if (applied.length) lines.push(`⚙️ Applied ${applied.length} staged setting(s): ${keys(applied)}.`);
+    if (skipped.length) lines.push(`⚠️ Dropped ${keys(skipped)}: no longer in the ini.`);
+    return { applied: true, note: lines.join('\n') };
+  } catch (e) {
+    logger.error(`Staged settings not applied: ${sanitizeErrorMessage(e)}`);
+    return { applied: false, note: `⚠️ Staged settings were NOT applied: \`${sanitizeErrorMessage(e)}\`. They stay pending.` };
+  }
+}
+
 /**
  * Reports whether the server is REALLY gone, not merely quiet. A silent REST API
  * is necessary but not sufficient: a wedged server can stop answering /info while
@@ -113,10 +171,35 @@ export async function serverIsFullyDown() {
  */
 export async function shutdownAndWait(message) {
   // The configured delay gives the server time to finish pending operations.
+  // Recorded first, so the monitor never mistakes this stop for a crash.
+  expectStop();
   await shutdown(config.timing.shutdownDelaySeconds, message);
   return waitFor(serverIsFullyDown, config.timing.stopTimeoutMs, config.timing.pollIntervalMs);
 }
 
+/**
+ * Saves the world, waits out the settle window, then backs the fresh save up.
+ * The first half of every polite stop - saveSettleAndShutdown and
+ * gracefulShutdown - so the last backup before any stop or restart is the world
+ * exactly as the server left it.
+ *
+ * The backup records the server's current uptime, read from /metrics; a metrics
+ * hiccup only leaves that blank. The backup itself never throws, but a failed
+ * save does, exactly as before.
+ * @private
+ */
+export async function saveAndSettle() {
+  await saveWorld();
+  await sleep(config.timing.saveSettleMs);
+
+  if (!backupsEnabled()) return;
+  let uptime = null;
+  try {
+    uptime = (await getMetrics()).uptime ?? null;
+  } catch {}
+  await takeBackup('stop', uptime);
+}
+
 /**
  * The full polite stop: save the world, wait out the settle window, then shut
  * down and confirm the process is gone.
@@ -130,7 +213,6 @@ export async function shutdownAndWait(message) {
  * @private
  */
 export async function saveSettleAndShutdown(message) {
-  await saveWorld();
-  await sleep(config.timing.saveSettleMs);
+  await saveAndSettle();
   return shutdownAndWait(message);
 }
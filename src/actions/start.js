@@ -1,26 +1,41 @@
 import { isUp } from '../palworld.js';
+import { isServerProcessRunning } from '../servercontrol.js';
+import { setServerUp, announceServerEvent, resumeRecovery } from '../monitor.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
-import { withLockResult, startAndReport, announceAction } from './shared.js';
+import { withLockResult, startAndReport, announceAction, applyStagedSettings } from './shared.js';
 
 /**
  * Starts the server under the shared lock. Mirrors the /palstart core behaviour
  * and returns the same messages so the Discord command is unchanged. onProgress
  * surfaces the coarse "checking for updates" line from the update-on-start check.
- * @param {{ actor?: string, originChannelId?: string, onProgress?: (message: string) => (void|Promise<void>) }} [options]
+ *
+ * A manual start - /palstart or the tray, which pass manual: true - is also what
+ * turns crash recovery back on after a crash loop stopped it (see
+ * monitor/recovery.js), whether or not the server was already up. An unattended
+ * start, such as operating hours opening, leaves a crash-loop halt in place.
+ * @param {{ actor?: string, originChannelId?: string, manual?: boolean, onProgress?: (message: string) => (void|Promise<void>) }} [options]
  *   actor is used only for the announcement; originChannelId is the channel the
- *   command was run in, which suppresses the announcement per shouldAnnounce
+ *   command was run in, which suppresses the announcement per shouldAnnounce;
+ *   manual marks a start a person asked for
  * @returns {Promise<{success: boolean, message: string, embedTitle?: string}>}
  */
-export async function doStart({ actor, originChannelId, onProgress } = {}) {
+export async function doStart({ actor, originChannelId, manual = false, onProgress } = {}) {
   return withLockResult(async () => {
+    if (manual) resumeRecovery();
+
     const up = await isUp();
     if (up) {
       return { success: true, message: 'Server is already **UP**.', embedTitle: 'Server Status' };
     }
 
+    // Stopped servers are where staged /palconfig changes get written; this start
+    // is as good a moment as a restart.
+    const settingsNote = await applyStagedSettings(onProgress);
+
     try {
       // startAndReport owns launch + monitor state + the update-warning suffix.
-      const message = await startAndReport('Server started successfully!', onProgress);
+      const started = await startAndReport('Server started successfully!', onProgress);
+      const message = settingsNote ? `${started}\n${settingsNote}` : started;
 
       // Announce the successful, explicitly-requested start
       await announceAction(actor, 'started', originChannelId);
@@ -33,3 +48,36 @@ export async function doStart({ actor, originChannelId, onProgress } = {}) {
     }
   });
 }
+
+/**
+ * Relaunches the server after a crash, under the shared lock. Invoked by the
+ * monitor's crash recovery (monitor/recovery.js), never by a person, so it takes
+ * no actor and posts its own announce-channel line.
+ *
+ * A server found answering again - started by hand, or a slow launch that came up
+ * after all - is a success that only brings the monitor up to date. A process
+ * that is alive but not answering is NOT launched over: a second instance would
+ * fight the first for the world files, so that counts as a failed relaunch.
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function doRecover() {
+  return withLockResult(async () => {
+    if (await isUp()) {
+      await setServerUp();
+      return { success: true, message: 'Server is already up.' };
+    }
+    if (await isServerProcessRunning()) {
+      return { success: false, message: 'A server process is still running but not answering.' };
+    }
+
+    const settingsNote = await applyStagedSettings();
+
+    try {
+      const started = await startAndReport('Server relaunched after a crash.');
+      await announceServerEvent('🩹 The server was relaunched after the crash.');
+      return { success: true, message: settingsNote ? `${started}\n${settingsNote}` : started };
+    } catch (e) {
+      return { success: false, message: `Relaunch failed: \`${sanitizeErrorMessage(e)}\`` };
+    }
+  });
+}
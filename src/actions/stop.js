@@ -1,9 +1,9 @@
-import { getPlayers, saveWorld, isUp } from '../palworld.js';
+import { getPlayers, isUp } from '../palworld.js';
 import { killServerByName } from '../servercontrol.js';
-import { setServerDown, announceServerEvent } from '../monitor.js';
+import { setServerDown, announceServerEvent, cancelRecovery } from '../monitor.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
 import { createLogger } from '../utils/logger.js';
-import { sleep, waitFor } from '../utils/async.js';
+import { waitFor } from '../utils/async.js';
 import config from '../config/index.js';
 import {
   FORCE_KILL_CONFIRM_MS,
@@ -12,8 +12,10 @@ import {
   withLockResult,
   serverIsFullyDown,
   shutdownAndWait,
+  saveAndSettle,
   saveSettleAndShutdown
 } from './shared.js';
+import { expectStop } from './intent.js';
 
 const logger = createLogger('Actions');
 
@@ -39,10 +41,9 @@ export async function gracefulShutdown() {
   }
 
   try {
-    // Save world state before shutdown to prevent data loss, then let the write
-    // settle - see saveSettleAndShutdown for why the save is never assumed.
-    await saveWorld();
-    await sleep(config.timing.saveSettleMs);
+    // Save world state before shutdown to prevent data loss, let the write settle
+    // and back it up - see saveSettleAndShutdown for why the save is never assumed.
+    await saveAndSettle();
 
     // Second player count check - abort if players connected during the save and
     // its settle window. That window is tens of seconds wide, so this is a real
@@ -70,7 +71,9 @@ export async function gracefulShutdown() {
 
 /**
  * Gracefully stops the server under the shared lock. Returns gracefulShutdown's
- * structured result verbatim so the /palstop message is unchanged.
+ * structured result verbatim so the /palstop message is unchanged. Asking for a
+ * stop also drops any relaunch crash recovery has pending, even when the server
+ * is already down.
  * @param {{ actor?: string, originChannelId?: string }} [options] - actor is used
  *   only for the announcement; originChannelId is the channel the command was run
  *   in, which suppresses the announcement per shouldAnnounce
@@ -78,6 +81,7 @@ export async function gracefulShutdown() {
  */
 export async function doStop({ actor, originChannelId } = {}) {
   return withLockResult(async () => {
+    cancelRecovery('stop requested');
     const result = await gracefulShutdown();
     if (result.success) {
       await announceAction(actor, 'stopped', originChannelId);
@@ -129,6 +133,8 @@ export async function doStop({ actor, originChannelId } = {}) {
  *   stopped nothing
  */
 export async function doKill({ actor, originChannelId, message = 'Server is shutting down.', announce = true } = {}) {
+  // Like doStop, a kill outranks any relaunch crash recovery has pending.
+  cancelRecovery('stop requested');
   let stoppedCleanly = false;
 
   if (await isUp()) {
@@ -151,6 +157,7 @@ export async function doKill({ actor, originChannelId, message = 'Server is shut
     return { success: true, message: 'Server stopped gracefully (world saved).', forced: false };
   }
 
+  expectStop();
   const result = await killServerByName();
   if (!result.killed) {
     // killServerByName reports nothing killed in two genuinely-DOWN states as well
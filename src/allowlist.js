@@ -0,0 +1,82 @@
+/**
+ * Player allowlist
+ *
+ * The platform user ids allowed onto a private server, managed from Discord with
+ * /palallow and kept in data/allowlist.json. Palworld has no allowlist of its
+ * own - only a server password, which leaks - so the bot enforces this one by
+ * kicking anyone on the roster who is not on it (monitor/enforcement.js).
+ *
+ * Deliberately depends on nothing but the data-file plumbing, so the monitor can
+ * import it without closing an import cycle.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+
+/** Allowlist file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'allowlist.json';
+
+/**
+ * One allowlist entry.
+ * @typedef {Object} AllowEntry
+ * @property {string} userId - Platform user id allowed on the server
+ * @property {string} name - Player name when added (the id when it was unknown)
+ * @property {string} addedAt - ISO timestamp of the addition
+ * @property {string} addedBy - Discord username of the admin who added it
+ */
+
+/**
+ * Every allowlist entry, oldest first.
+ * @returns {AllowEntry[]} Entries; empty when there are none
+ */
+export function listAllowed() {
+  const entries = readJsonFile(FILE_NAME, []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Looks up an entry by user id, or by recorded name case-insensitively.
+ * @param {string} query - User id or player name
+ * @returns {AllowEntry|undefined} The matching entry, if any
+ */
+export function findAllowed(query) {
+  const wanted = query.trim();
+  const lowered = wanted.toLowerCase();
+  const entries = listAllowed();
+  return entries.find(e => e.userId === wanted) ?? entries.find(e => e.name.toLowerCase() === lowered);
+}
+
+/**
+ * Adds a user id, replacing any earlier entry for it so a re-add refreshes the
+ * recorded name rather than duplicating the row.
+ * @param {AllowEntry} entry - Entry to add
+ */
+export function addAllowed(entry) {
+  const entries = listAllowed().filter(e => e.userId !== entry.userId);
+  entries.push(entry);
+  writeJsonFile(FILE_NAME, entries);
+}
+
+/**
+ * Removes a user id from the allowlist.
+ * @param {string} userId - User id to remove
+ * @returns {AllowEntry|null} The removed entry, or null when the id was not listed
+ */
+export function removeAllowed(userId) {
+  const entries = listAllowed();
+  const removed = entries.find(e => e.userId === userId) ?? null;
+  if (removed) writeJsonFile(FILE_NAME, entries.filter(e => e.userId !== userId));
+  return removed;
+}
+
+/**
+ * Autocomplete choices for removing an entry: listed players whose recorded name
+ * or id contains what has been typed. The VALUE is the user id, as in playerChoices.
+ * @param {string} typed - Partial text from the focused option
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices, Discord's cap
+ */
+export function allowedChoices(typed) {
+  const needle = typed.trim().toLowerCase();
+  return listAllowed()
+    .filter(e => e.name.toLowerCase().includes(needle) || e.userId.toLowerCase().includes(needle))
+    .slice(0, 25)
+    .map(e => ({ name: `${e.name} (${e.userId})`.slice(0, 100), value: e.userId.slice(0, 100) }));
+}
@@ -16,6 +16,20 @@
  *    already at or past the interval - is floored to the full warning chain
  *    instead of collapsing (see MIN_COUNTDOWN_SECONDS).
  *
+ * TWO TRIGGERS, ONE COUNTDOWN: the restart falls due either after
+ * RESTART_INTERVAL_HOURS of uptime or at the next slot of RESTART_SCHEDULE, a
+ * wall-clock schedule in RESTART_TIMEZONE. Each poll works out both and arms
+ * for whichever comes FIRST (see nextRestart); the other is simply not armed, so
+ * two triggers due at once still make one countdown and one restart. A restart
+ * resets uptime, so after a clock restart the interval starts over from zero -
+ * it stays a fallback that only fires when the clock has not restarted the
+ * server for a whole interval.
+ *
+ * An admin can also arm a one-off countdown with /palrestart (armAdminRestart),
+ * and operating hours arm one that ends in a stop at closing time
+ * (armClosingCountdown). Both play the same warnings through the same timers,
+ * so no two countdowns can ever run side by side.
+ *
  * This module owns ONLY the scheduling and its timers. The restart itself is
  * injected as performRestart, so no import edge is created toward actions.js or
  * monitor.js - monitor.js -> autorestart.js -> actions.js would close a cycle,
@@ -24,40 +38,41 @@
 import { announce } from './palworld.js';
 import { createLogger } from './utils/logger.js';
 import { sanitizeErrorMessage } from './utils/security.js';
+import { nextScheduled, formatSchedule } from './utils/schedule.js';
 import config from './config/index.js';
 
 const logger = createLogger('AutoRestart');
 
 /**
- * In-game warning schedule, in minutes before the restart, largest first.
- * Deliberately fixed rather than configurable: it is a player-experience
- * decision, and RESTART_INTERVAL_HOURS' 1-hour floor exists precisely so this
- * schedule always fits comfortably inside a single restart interval.
+ * In-game warning schedule, in seconds before the restart, largest first
+ * (RESTART_WARNINGS; 30, 20, 10, 5, 3, 2 and 1 minutes by default). Config
+ * rejects at startup a schedule whose countdown could not fit inside one
+ * RESTART_INTERVAL_HOURS.
  */
-const WARNING_MINUTES = [30, 20, 10, 5, 3, 2, 1];
+const WARNING_SECONDS = config.autoRestart.warnings;
 
 /**
  * Seconds remaining at or below which a poll arms the countdown.
  *
  * It MUST exceed the largest warning by a full monitor poll interval. Arming at
- * exactly WARNING_MINUTES[0] * 60 is self-defeating: a poll can only arm at or
- * below that mark, but the 30-minute warning only gets a positive delay ABOVE
- * it, so the largest warning could never fire. Adding one poll interval widens
- * the window to 40 minutes at the 10-minute default, which guarantees some poll
- * lands in the 30-to-40-minute band while the 30-minute mark is still ahead.
+ * exactly WARNING_SECONDS[0] is self-defeating: a poll can only arm at or below
+ * that mark, but the largest warning only gets a positive delay ABOVE it, so it
+ * could never fire. Adding one poll interval widens the window to 40 minutes at
+ * the defaults, which guarantees some poll lands in the 30-to-40-minute band
+ * while the 30-minute mark is still ahead.
  *
  * Arming early is harmless: every delay below is derived from the exact
  * secondsRemaining at arm time, so warnings and the restart still fire to the
  * second no matter how early the window opened.
  */
-const ARM_THRESHOLD_SECONDS = WARNING_MINUTES[0] * 60 + config.monitoring.intervalMs / 1000;
+const ARM_THRESHOLD_SECONDS = WARNING_SECONDS[0] + config.monitoring.intervalMs / 1000;
 
 /**
  * Shortest countdown that may ever be armed: long enough for the whole warning
  * chain, so players are never bounced without the notice they normally get.
  *
  * Inert during steady-state monitoring. The first poll to land inside the window
- * always lands in the (1800, 2400] band - the previous poll was above
+ * always lands in the (1800, 2400] band at the defaults - the previous poll was above
  * ARM_THRESHOLD_SECONDS and polls are exactly one interval apart - so the raw
  * remainder already clears this floor.
  *
@@ -66,7 +81,7 @@ const ARM_THRESHOLD_SECONDS = WARNING_MINUTES[0] * 60 + config.monitoring.interv
  * against an already-overdue server. Unfloored, those arm a truncated warning
  * chain - or none at all, restarting a populated server on the spot.
  */
-const MIN_COUNTDOWN_SECONDS = WARNING_MINUTES[0] * 60;
+const MIN_COUNTDOWN_SECONDS = WARNING_SECONDS[0];
 
 /**
  * How long a failed restart must be left alone before another is armed: one full
@@ -76,6 +91,45 @@ const MIN_COUNTDOWN_SECONDS = WARNING_MINUTES[0] * 60;
  */
 const FAILURE_COOLDOWN_MS = config.autoRestart.intervalHours * 3600 * 1000;
 
+/**
+ * Least uptime a server must have reached by a clock slot for that slot to
+ * restart it. A server started at 03:50 is not restarted at 04:00: that slot is
+ * skipped and the next one considered, as the schedule's restart has in effect
+ * just happened.
+ */
+const MIN_CLOCK_UPTIME_SECONDS = 3600;
+
+/** In-game warning template for a closing-time countdown, as RESTART_WARNING_MESSAGE. */
+const CLOSING_WARNING_MESSAGE = 'Server closing in {time}!';
+
+/**
+ * Renders one warning from a template - RESTART_WARNING_MESSAGE unless another
+ * is given - with {time} in the largest unit that divides the warning evenly:
+ * "1 hour", "5 minutes", "90 seconds".
+ * @param {number} seconds - Seconds before the restart
+ * @param {string} [template] - Warning text with a {time} placeholder
+ * @returns {string} In-game warning text
+ * @private
+ */
+function warningText(seconds, template = config.autoRestart.warningMessage) {
+  const [count, unit] = seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+    : seconds % 60 === 0 ? [seconds / 60, 'minute']
+      : [seconds, 'second'];
+  return template.replaceAll('{time}', `${count} ${unit}${count === 1 ? '' : 's'}`);
+}
+
+/**
+ * Formats a warning for the log: "30m", "10s", "1m30s".
+ * @param {number} seconds - Seconds before the restart
+ * @returns {string} Short form
+ * @private
+ */
+function shortDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  if (!minutes) return `${seconds}s`;
+  return seconds % 60 ? `${minutes}m${seconds % 60}s` : `${minutes}m`;
+}
+
 /** Pending one-shot timer handles - every warning plus the final restart. */
 let timers = [];
 
@@ -89,9 +143,16 @@ let armed = false;
  */
 let restartInFlight = false;
 
-/** Epoch ms before which no countdown may be armed after a failed restart. */
+/** Epoch ms before which no countdown may be armed after a failed or cancelled restart. */
 let cooldownUntilMs = 0;
 
+/**
+ * What the armed countdown is for, for /palrestart status; null when none is.
+ * action is 'stop' for a closing-time countdown, 'restart' otherwise.
+ * @type {{dueAt: number, trigger: string, action: string, actor: string|null, reason: string|null}|null}
+ */
+let countdown = null;
+
 /**
  * Clears every pending timer and empties the handle list.
  * @private
@@ -99,6 +160,7 @@ let cooldownUntilMs = 0;
 function clearTimers() {
   for (const handle of timers) clearTimeout(handle);
   timers = [];
+  countdown = null;
 }
 
 /**
@@ -125,26 +187,57 @@ function addTimer(delayMs, run) {
 }
 
 /**
- * Opens the post-failure cooldown window (see FAILURE_COOLDOWN_MS). Logged here,
- * once, rather than at each suppressed poll.
+ * Opens the cooldown window (see FAILURE_COOLDOWN_MS). Logged here, once,
+ * rather than at each suppressed poll.
+ * @param {string} after - What it follows, for the log: 'a failed restart'
  * @private
  */
-function startFailureCooldown() {
+function startFailureCooldown(after = 'a failed restart') {
   cooldownUntilMs = Date.now() + FAILURE_COOLDOWN_MS;
-  logger.warn(`Restart countdown suppressed for ${config.autoRestart.intervalHours}h after a failed restart`);
+  logger.warn(`Restart countdown suppressed for ${config.autoRestart.intervalHours}h after ${after}`);
 }
 
 /**
- * Arms the restart countdown if the given uptime puts the server inside the
- * warning window. Idempotent per window: once armed, later polls are no-ops
+ * Works out the next restart due, by the uptime interval and by the clock
+ * schedule when one is configured, and returns whichever comes first. On a tie
+ * the clock wins - it is the one the operator chose the time of.
+ * @param {number} uptimeSeconds - Current server uptime
+ * @param {number} nowMs - Current time
+ * @returns {{seconds: number, trigger: string}} Raw seconds until it is due
+ *   (negative when the uptime interval is already past) and a short description
+ *   of the trigger, for the log
+ * @private
+ */
+function nextRestart(uptimeSeconds, nowMs) {
+  const byUptime = {
+    seconds: config.autoRestart.intervalHours * 3600 - uptimeSeconds,
+    trigger: `${config.autoRestart.intervalHours}h uptime`
+  };
+  const { schedule, timeZone } = config.autoRestart;
+  if (!schedule) return byUptime;
+
+  let slotMs = nextScheduled(schedule, timeZone, nowMs);
+  while (uptimeSeconds + (slotMs - nowMs) / 1000 < MIN_CLOCK_UPTIME_SECONDS) {
+    slotMs = nextScheduled(schedule, timeZone, slotMs);
+  }
+  const byClock = {
+    seconds: (slotMs - nowMs) / 1000,
+    trigger: `schedule ${formatSchedule(schedule)} (${timeZone})`
+  };
+  return byClock.seconds <= byUptime.seconds ? byClock : byUptime;
+}
+
+/**
+ * Arms the restart countdown if the given uptime, or the clock schedule, puts
+ * the server inside the warning window. Idempotent per window: once armed, later polls are no-ops
  * until the countdown completes or is cancelled.
  *
  * Warnings whose fire time has already passed are SKIPPED rather than burst into
  * chat late, but the MIN_COUNTDOWN_SECONDS floor keeps every countdown at least
  * as long as the largest warning, so in practice the full chain always plays.
  *
- * A restart that FAILED holds this off for a full interval (FAILURE_COOLDOWN_MS),
- * so a broken restart cannot retry on every poll.
+ * An automatic restart that FAILED holds this off for a full interval
+ * (FAILURE_COOLDOWN_MS), so a broken restart cannot retry on every poll.
  *
  * @param {number} uptimeSeconds - Server uptime from the Palworld /metrics endpoint
  * @param {() => Promise<{success: boolean, message: string}>} performRestart -
@@ -161,45 +254,147 @@ export function armRestartCountdown(uptimeSeconds, performRestart) {
   }
 
   // The window check MUST see the RAW remainder: flooring first would report at
-  // least 30 minutes left forever and arm the countdown an interval too early.
-  const rawSecondsRemaining = config.autoRestart.intervalHours * 3600 - uptimeSeconds;
+  // least the largest warning left forever and arm the countdown an interval too early.
+  const { seconds: rawSecondsRemaining, trigger } = nextRestart(uptimeSeconds, Date.now());
   if (rawSecondsRemaining > ARM_THRESHOLD_SECONDS) {
-    logger.debug(`Not in restart window yet (${Math.round(rawSecondsRemaining / 60)} minutes remaining)`);
+    logger.debug(`Not in restart window yet (${Math.round(rawSecondsRemaining / 60)} minutes remaining, ${trigger})`);
     return false;
   }
 
-  armed = true;
-
+  // An already-overdue server (uptime past the interval, e.g. the feature was
+  // enabled mid-session) waits out the same full countdown as any other, so its
+  // players get the whole warning chain rather than an instant restart.
   const secondsRemaining = Math.max(rawSecondsRemaining, MIN_COUNTDOWN_SECONDS);
+  const overdueNote = rawSecondsRemaining < MIN_COUNTDOWN_SECONDS
+    ? ' (already due - started a full countdown instead)'
+    : '';
+  startCountdown(secondsRemaining, performRestart, { trigger, note: overdueNote });
+  return true;
+}
+
+/**
+ * Arms a one-off restart an admin asked for, after exactly the given delay -
+ * no MIN_COUNTDOWN_SECONDS floor, the admin picked the time. Players hear about
+ * it at once, with the reason, and then at every regular warning that still
+ * fits. Refused while any countdown is already armed.
+ * @param {object} request
+ * @param {number} request.seconds - Seconds until the restart
+ * @param {string} request.actor - Who asked, shown by /palrestart status
+ * @param {string|null} [request.reason] - Why, broadcast in-game and shown by status
+ * @param {() => Promise<{success: boolean, message: string}>} performRestart -
+ *   Restart action to run at the end; it owns the shared lock
+ * @returns {boolean} true when the countdown was armed
+ */
+export function armAdminRestart({ seconds, actor, reason = null }, performRestart) {
+  if (armed) return false;
+
+  const opening = reason ? `${warningText(seconds)} (${reason})` : warningText(seconds);
+  startCountdown(seconds, performRestart, { trigger: `requested by ${actor}`, actor, reason, opening });
+  return true;
+}
+
+/**
+ * Arms the countdown to closing time (see monitor/hours.js): the usual warnings,
+ * worded for a closing rather than a restart, then performStop. Like an admin's
+ * restart it ends exactly when asked - at closing time - so a countdown armed
+ * late, inside the warning chain, tells players at once how long is left.
+ * Refused while any countdown is already armed.
+ * @param {number} seconds - Seconds until closing time
+ * @param {() => Promise<{success: boolean, message: string}>} performStop -
+ *   Stop action to run at the end; it owns the shared lock
+ * @returns {boolean} true when the countdown was armed
+ */
+export function armClosingCountdown(seconds, performStop) {
+  if (armed) return false;
+
+  const opening = seconds < WARNING_SECONDS[0] ? warningText(seconds, CLOSING_WARNING_MESSAGE) : undefined;
+  startCountdown(seconds, performStop, { trigger: 'closing time', action: 'stop', opening, template: CLOSING_WARNING_MESSAGE });
+  return true;
+}
+
+/**
+ * The armed countdown, if any.
+ * @returns {{dueAt: number, trigger: string, action: string, actor: string|null, reason: string|null, inFlight: boolean}|null}
+ *   dueAt is epoch ms; action is 'stop' at closing time and 'restart' otherwise;
+ *   actor is null unless an admin asked for it; inFlight is true once the
+ *   restart or stop itself is running and can no longer be cancelled
+ */
+export function restartCountdownStatus() {
+  return countdown ? { ...countdown, inFlight: restartInFlight } : null;
+}
+
+/**
+ * Cancels the armed countdown on an admin's say-so. An automatic restart is
+ * still due once cancelled and would re-arm at the next poll, so cancelling one
+ * also holds automatic restarts off for a full interval, as a failure does. A
+ * cancelled closing-time stop is not tried again: the server stays up until the
+ * next closing time.
+ * @param {string} actor - Who cancelled, for the log
+ * @returns {{dueAt: number, trigger: string, action: string, actor: string|null, reason: string|null}|null}
+ *   The countdown cancelled; null when none was armed or the restart is already running
+ */
+export function cancelRestartByAdmin(actor) {
+  if (restartInFlight || !countdown) return null;
+
+  const cancelled = countdown;
+  cancelRestartCountdown(`cancelled by ${actor}`);
+  if (!cancelled.actor && cancelled.action === 'restart') startFailureCooldown(`${actor} cancelled it`);
+  return cancelled;
+}
+
+/**
+ * Arms the warning timers and the restart itself. Shared by the automatic
+ * countdown, the admin's one-off one and the closing-time one, so all of them
+ * play the same warnings and settle the countdown state the same way afterwards.
+ * @param {number} secondsRemaining - Seconds until the restart
+ * @param {() => Promise<{success: boolean, message: string}>} performRestart -
+ *   Restart action - or, for action 'stop', the stop action
+ * @param {object} details
+ * @param {string} details.trigger - What armed it, for the log and status
+ * @param {string} [details.action] - 'restart', or 'stop' for closing time
+ * @param {string} [details.note] - Extra text for the armed log line
+ * @param {string|null} [details.actor] - Admin who asked; null for automatic
+ * @param {string|null} [details.reason] - Admin's reason
+ * @param {string} [details.opening] - In-game text broadcast immediately
+ * @param {string} [details.template] - Warning template, see warningText
+ * @private
+ */
+function startCountdown(secondsRemaining, performRestart, {
+  trigger, action = 'restart', note = '', actor = null, reason = null, opening, template
+}) {
+  armed = true;
+  countdown = { dueAt: Date.now() + secondsRemaining * 1000, trigger, action, actor, reason };
+  const what = action === 'stop' ? 'Closing-time stop' : 'Scheduled restart';
 
   const scheduled = [];
-  for (const minutes of WARNING_MINUTES) {
-    const delaySeconds = secondsRemaining - minutes * 60;
+  if (opening) addTimer(0, () => announce(opening));
+  for (const warning of WARNING_SECONDS) {
+    const delaySeconds = secondsRemaining - warning;
     if (delaySeconds < 0) continue; // genuinely past - skip rather than fire late; 0 fires now
-    const unit = minutes === 1 ? 'minute' : 'minutes';
-    addTimer(delaySeconds * 1000, () => announce(`Server restarting in ${minutes} ${unit}!`));
-    scheduled.push(minutes);
+    if (opening && delaySeconds === 0) continue; // the opening line already says it
+    addTimer(delaySeconds * 1000, () => announce(warningText(warning, template)));
+    scheduled.push(shortDuration(warning));
   }
 
-  // An already-overdue server (uptime past the interval, e.g. the feature was
-  // enabled mid-session) waits out the same full countdown as any other, so its
-  // players get the whole warning chain rather than an instant restart.
   addTimer(secondsRemaining * 1000, async () => {
     // Claim ownership of the countdown state for the whole restart - see
     // cancelRestartCountdown for what would otherwise clear it mid-flight.
     restartInFlight = true;
+    // Only the automatic schedule retries on its own, so only it needs holding
+    // off after a failure; an admin's one-off restart must not delay the next one.
+    const automatic = action === 'restart' && !actor;
     try {
       const result = await performRestart();
       if (result?.success) {
-        logger.info(`Scheduled restart completed: ${result.message}`);
-        cooldownUntilMs = 0;
+        logger.info(`${what} completed: ${result.message}`);
+        if (action === 'restart') cooldownUntilMs = 0;
       } else {
-        logger.warn(`Scheduled restart did not run: ${result?.message ?? 'no result returned'}`);
-        startFailureCooldown();
+        logger.warn(`${what} did not run: ${result?.message ?? 'no result returned'}`);
+        if (automatic) startFailureCooldown();
       }
     } catch (error) {
-      logger.error(`Scheduled restart threw: ${sanitizeErrorMessage(error)}`);
-      startFailureCooldown();
+      logger.error(`${what} threw: ${sanitizeErrorMessage(error)}`);
+      if (automatic) startFailureCooldown();
     } finally {
       // Release the armed state either way. A successful restart resets uptime,
       // so the next window is a full interval away; a failed one is held off by
@@ -218,15 +413,10 @@ export function armRestartCountdown(uptimeSeconds, performRestart) {
     ? `${wholeMinutes}m ${clampedSeconds % 60}s`
     : `${clampedSeconds}s`;
 
-  const overdueNote = rawSecondsRemaining < MIN_COUNTDOWN_SECONDS
-    ? ' (already due - started a full countdown instead)'
-    : '';
-
   logger.info(
-    `Restart countdown armed: restarting in ${eta}${overdueNote}; ` +
+    `${action === 'stop' ? 'Closing' : 'Restart'} countdown armed (${trigger}): ${action === 'stop' ? 'stopping' : 'restarting'} in ${eta}${note}; ` +
     `warnings at ${scheduled.length ? scheduled.join(', ') : 'none'}`
   );
-  return true;
 }
 
 /**
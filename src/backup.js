@@ -0,0 +1,394 @@
+/**
+ * World-save backups
+ *
+ * Copies of the server's SaveGames directory (START_CWD\Pal\Saved\SaveGames),
+ * taken at the moments the world on disk is known to be fresh: after each
+ * save-and-settle window (so before every polite stop and restart), before every
+ * SteamCMD update, and on a timer while the server is up. Each copy is a single
+ * .tar.gz archive under backups/ beside logs/ and data/ (or BACKUP_DIR), named
+ * for the moment it was taken, and recorded in data/backups.json with its size,
+ * the server uptime at that moment and a SHA-256 of every file inside, so an
+ * archive can be checked for corruption before anyone relies on it.
+ *
+ * Backups taken before archives were introduced are plain folders named by id,
+ * with no file list. They are listed, restored and pruned like the rest, but
+ * have nothing to verify against.
+ *
+ * Retention runs after every backup: the newest keepLast always survive, plus
+ * the newest backup of each of the last keepDaily days and keepWeekly weeks that
+ * have one. Everything else is deleted, folder and manifest entry alike.
+ *
+ * Taking a backup is best-effort: one that fails is logged and skipped, and
+ * never gets in the way of the stop, restart or update that triggered it.
+ * Restoring one (/palbackup restore) is not - it throws so the admin hears why.
+ * Deliberately depends on nothing but config and the file plumbing, so any layer
+ * can import it without closing an import cycle.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { getBaseDir } from './utils/paths.js';
+import { createLogger } from './utils/logger.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+import { createTarGz, extractTarGz, readTarGz } from './utils/tar.js';
+import config from './config/index.js';
+
+const logger = createLogger('Backup');
+
+/** Manifest file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'backups.json';
+
+/** Suffix of a file or folder still being written; renamed away once complete. */
+const PARTIAL_SUFFIX = '.partial';
+
+/** Archive file extension. */
+const ARCHIVE_SUFFIX = '.tar.gz';
+
+// Set while a backup is written, so two triggers landing together cannot both write.
+let copying = false;
+
+/**
+ * One recorded backup.
+ * @typedef {Object} BackupEntry
+ * @property {string} id - Backup id, named for when it was taken
+ * @property {string} [archive] - Archive file name inside the backup directory;
+ *   absent for the plain folders of older backups, which are named by id
+ * @property {string} takenAt - ISO timestamp of the backup
+ * @property {string} reason - What triggered it: 'stop', 'update', 'interval', or
+ *   'pre-restore' for the saves a restore replaced
+ * @property {number} sizeBytes - Size on disk: the archive, or an old folder's files
+ * @property {number|null} uptimeSeconds - Server uptime when taken; null when the
+ *   server was down or did not answer
+ * @property {import('./utils/tar.js').TarFile[]} [files] - Every file in the
+ *   archive with its SHA-256; absent for old folder backups
+ */
+
+/**
+ * Whether backups are switched on. Config validation guarantees START_CWD is set
+ * whenever they are.
+ * @returns {boolean} True when BACKUP_ENABLED is on
+ */
+export function backupsEnabled() {
+  return config.backup.enabled;
+}
+
+/**
+ * The SaveGames directory the backups copy.
+ * @returns {string} Absolute path under START_CWD
+ */
+export function saveGamesPath() {
+  return path.join(config.server.startWorkingDirectory, 'Pal', 'Saved', 'SaveGames');
+}
+
+/**
+ * The directory backups are written to: BACKUP_DIR, else backups/ in the launch
+ * folder.
+ * @returns {string} Absolute path to the backup directory
+ */
+export function backupDir() {
+  return config.backup.directory || path.join(getBaseDir(), 'backups');
+}
+
+/**
+ * Every recorded backup, oldest first.
+ * @returns {BackupEntry[]} Backups; empty when there are none
+ */
+export function listBackups() {
+  const entries = readJsonFile(FILE_NAME, []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Looks a backup up by id.
+ * @param {string} id - Backup id, as listed
+ * @returns {BackupEntry|undefined} The backup, if recorded
+ */
+export function getBackup(id) {
+  const wanted = id.trim();
+  return listBackups().find(entry => entry.id === wanted);
+}
+
+/**
+ * Autocomplete choices for a backup id, newest first.
+ * @param {string} typed - Partial text from the focused option
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices, Discord's cap
+ */
+export function backupChoices(typed) {
+  const needle = typed.trim().toLowerCase();
+  return listBackups()
+    .filter(entry => entry.id.toLowerCase().includes(needle))
+    .reverse()
+    .slice(0, 25)
+    .map(entry => ({ name: `${entry.id} (${entry.reason})`, value: entry.id }));
+}
+
+/**
+ * Where a backup lives on disk: its archive, or an old backup's folder.
+ * @param {BackupEntry} entry - Recorded backup
+ * @returns {string} Absolute path
+ */
+export function backupPath(entry) {
+  return path.join(backupDir(), entry.archive ?? entry.id);
+}
+
+/**
+ * Builds a backup id from a timestamp: sortable, and legal on Windows. Two
+ * backups in the same second get a numeric suffix rather than colliding.
+ * @param {Date} at - Moment of the backup
+ * @param {BackupEntry[]} manifest - Backups already recorded
+ * @returns {string} e.g. '2026-10-19_21-05-33'
+ * @private
+ */
+function backupId(at, manifest) {
+  const base = at.toISOString().slice(0, 19).replace('T', '_').replaceAll(':', '-');
+  const taken = new Set(manifest.map(entry => entry.id));
+  let id = base;
+  for (let n = 2; taken.has(id) || fs.existsSync(path.join(backupDir(), `${id}${ARCHIVE_SUFFIX}`)); n++) id = `${base}_${n}`;
+  return id;
+}
+
+/**
+ * Local calendar-day key of a timestamp.
+ * @param {Date} date - Moment to key
+ * @returns {string} e.g. '2026-3-9' - unpadded, only ever compared for equality
+ * @private
+ */
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Local week key of a timestamp: the day key of the Monday starting its week.
+ * @param {Date} date - Moment to key
+ * @returns {string} Day key of that week's Monday
+ * @private
+ */
+function weekKey(date) {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(monday);
+}
+
+/**
+ * Decides which backups the retention rules keep: the newest keepLast, plus the
+ * newest backup in each of the most recent keepDaily days and keepWeekly weeks
+ * that have any backup at all. A gap in the history therefore never costs an
+ * older backup its place.
+ * @param {BackupEntry[]} entries - Every recorded backup, oldest first
+ * @returns {Set<BackupEntry>} The entries to keep
+ */
+export function retainedBackups(entries) {
+  const newestFirst = [...entries].sort((a, b) => Date.parse(b.takenAt) - Date.parse(a.takenAt));
+  const keep = new Set(newestFirst.slice(0, config.backup.keepLast));
+
+  const keepNewestPer = (keyOf, count) => {
+    const seen = new Set();
+    for (const entry of newestFirst) {
+      if (seen.size >= count) break;
+      const key = keyOf(new Date(entry.takenAt));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      keep.add(entry);
+    }
+  };
+  keepNewestPer(dayKey, config.backup.keepDaily);
+  keepNewestPer(weekKey, config.backup.keepWeekly);
+  return keep;
+}
+
+/**
+ * Deletes the backups the retention rules no longer keep. One that cannot be
+ * deleted stays in the manifest so the next run tries again.
+ * @param {BackupEntry[]} entries - Every recorded backup, oldest first
+ * @returns {BackupEntry[]} The manifest after pruning
+ * @private
+ */
+function prune(entries) {
+  const keep = retainedBackups(entries);
+  return entries.filter(entry => {
+    if (keep.has(entry)) return true;
+    try {
+      fs.rmSync(backupPath(entry), { recursive: true, force: true });
+      logger.info(`Pruned backup ${entry.id}`);
+      return false;
+    } catch (error) {
+      logger.warn(`Could not prune backup ${entry.id}: ${sanitizeErrorMessage(error)}`);
+      return true;
+    }
+  });
+}
+
+/**
+ * Packs a directory into a new archive in the backup directory, records it and
+ * applies retention. The archive is written under a .partial name and renamed
+ * once complete, so an interrupted write is never mistaken for a backup.
+ * @param {string} source - Directory to pack
+ * @param {string} reason - Recorded reason
+ * @param {number|null} uptimeSeconds - Recorded uptime
+ * @returns {Promise<BackupEntry>} The new backup
+ * @private
+ */
+async function archiveBackup(source, reason, uptimeSeconds) {
+  const at = new Date();
+  const manifest = listBackups();
+  const id = backupId(at, manifest);
+  const archive = `${id}${ARCHIVE_SUFFIX}`;
+  const target = path.join(backupDir(), archive);
+  const partial = `${target}${PARTIAL_SUFFIX}`;
+
+  fs.mkdirSync(backupDir(), { recursive: true });
+  try {
+    const files = await createTarGz(source, partial);
+    fs.renameSync(partial, target);
+    const entry = { id, archive, takenAt: at.toISOString(), reason, sizeBytes: fs.statSync(target).size, uptimeSeconds, files };
+    writeJsonFile(FILE_NAME, prune([...manifest, entry]));
+    return entry;
+  } catch (error) {
+    try { fs.rmSync(partial, { force: true }); } catch {}
+    throw error;
+  }
+}
+
+/**
+ * Archives SaveGames as a new backup, records it and applies retention. A no-op
+ * when backups are off or another backup is already being written. Never throws.
+ * @param {string} reason - What triggered it: 'stop', 'update' or 'interval'
+ * @param {number|null} [uptimeSeconds] - Server uptime right now, if known
+ * @returns {Promise<BackupEntry|null>} The new backup, or null when none was taken
+ */
+export async function takeBackup(reason, uptimeSeconds = null) {
+  if (!backupsEnabled()) return null;
+  if (copying) {
+    logger.info(`Backup (${reason}) skipped: another backup is in progress`);
+    return null;
+  }
+
+  copying = true;
+  try {
+    const source = saveGamesPath();
+    if (!fs.existsSync(source)) {
+      logger.warn(`Backup (${reason}) skipped: no SaveGames folder at ${source}`);
+      return null;
+    }
+
+    const started = Date.now();
+    const entry = await archiveBackup(source, reason, uptimeSeconds);
+    logger.info(`Backup ${entry.id} taken (${reason}, ${entry.files.length} files, ${entry.sizeBytes} bytes, ${Date.now() - started}ms)`);
+    return entry;
+  } catch (error) {
+    logger.error(`Backup (${reason}) failed: ${sanitizeErrorMessage(error)}`);
+    return null;
+  } finally {
+    copying = false;
+  }
+}
+
+/**
+ * Compares the files read back from an archive against those its manifest
+ * entry recorded.
+ * @param {import('./utils/tar.js').TarFile[]} expected - Files recorded at backup time
+ * @param {import('./utils/tar.js').TarFile[]} actual - Files read back, with fresh hashes
+ * @returns {string[]} One line per problem; empty when everything matches
+ * @private
+ */
+function compareFiles(expected, actual) {
+  const problems = [];
+  const found = new Map(actual.map(f => [f.path, f]));
+  for (const file of expected) {
+    const read = found.get(file.path);
+    if (!read) problems.push(`${file.path} is missing`);
+    else if (read.sha256 !== file.sha256) problems.push(`${file.path} does not match its checksum`);
+    found.delete(file.path);
+  }
+  for (const extra of found.keys()) problems.push(`${extra} was not in the backup when it was taken`);
+  return problems;
+}
+
+/**
+ * Re-reads a backup's archive and checks every file against the SHA-256 the
+ * manifest recorded when it was taken.
+ * @param {string} id - Backup to verify
+ * @returns {Promise<{backup: BackupEntry, problems: string[]}>} The backup, and
+ *   one line per problem found - empty when the archive is intact
+ * @throws {Error} When the backup is unknown or is an old folder backup with no
+ *   checksums to verify against
+ */
+export async function verifyBackup(id) {
+  const backup = getBackup(id);
+  if (!backup) throw new Error('No backup by that id.');
+  if (!backup.archive) throw new Error(`Backup ${backup.id} is a plain folder from before checksummed archives, so there is nothing to verify it against.`);
+
+  const file = backupPath(backup);
+  if (!fs.existsSync(file)) return { backup, problems: ['the archive file is gone'] };
+
+  const read = [];
+  try {
+    await readTarGz(file, { fileEnd: (f) => read.push(f) });
+  } catch (error) {
+    return { backup, problems: [`the archive is unreadable: ${sanitizeErrorMessage(error)}`] };
+  }
+  return { backup, problems: compareFiles(backup.files, read) };
+}
+
+/**
+ * Puts a backup back in place of the current SaveGames. The CALLER guarantees
+ * the server is stopped.
+ *
+ * The current saves are first moved aside, then the backup is unpacked (or, for
+ * an old folder backup, copied) under a .partial name and renamed into place,
+ * so SaveGames is at every moment either the old world or the complete restored
+ * one. An archive is checked against its recorded checksums as it is unpacked,
+ * so a corrupt one is never put in place. If anything fails the old saves are
+ * moved straight back and the error is thrown. On success the old saves are
+ * archived as a new 'pre-restore' backup, so a restore can itself be undone;
+ * should that fail they stay beside SaveGames and the result names the folder.
+ * @param {string} id - Backup to restore
+ * @returns {Promise<{backup: BackupEntry, safety: BackupEntry|null, leftAt: string|null}>}
+ *   The restored backup; the safety backup of the replaced saves, or null with
+ *   leftAt naming where they were left instead
+ * @throws {Error} When START_CWD is unset, the backup is unknown, missing or
+ *   corrupt, or the copy fails
+ */
+export async function restoreBackup(id) {
+  if (!config.server.startWorkingDirectory) throw new Error('START_CWD is not set, so there is no SaveGames folder to restore into.');
+  const backup = getBackup(id);
+  if (!backup) throw new Error('No backup by that id.');
+  const snapshot = backupPath(backup);
+  if (!fs.existsSync(snapshot)) throw new Error(`Backup ${backup.id} is listed but its ${backup.archive ? 'archive' : 'folder'} is gone.`);
+
+  const target = saveGamesPath();
+  const partial = `${target}${PARTIAL_SUFFIX}`;
+  const aside = `${target}.pre-restore`;
+  const hadSaves = fs.existsSync(target);
+
+  fs.rmSync(partial, { recursive: true, force: true });
+  if (fs.existsSync(aside)) throw new Error(`${aside} is left over from an earlier restore; move it out of the way first.`);
+  if (hadSaves) fs.renameSync(target, aside);
+  try {
+    if (backup.archive) {
+      const problems = compareFiles(backup.files, await extractTarGz(snapshot, partial));
+      if (problems.length) {
+        logger.error(`Backup ${backup.id} failed its checksums: ${problems.join('; ')}`);
+        throw new Error(`Backup ${backup.id} is corrupt (${problems.length} problem(s)); see /palbackup verify.`);
+      }
+    } else {
+      await fs.promises.cp(snapshot, partial, { recursive: true });
+    }
+    fs.renameSync(partial, target);
+  } catch (error) {
+    fs.rmSync(partial, { recursive: true, force: true });
+    if (hadSaves) fs.renameSync(aside, target);
+    throw error;
+  }
+  logger.info(`Restored backup ${backup.id} into ${target}`);
+
+  if (!hadSaves) return { backup, safety: null, leftAt: null };
+  try {
+    const safety = await archiveBackup(aside, 'pre-restore', null);
+    fs.rmSync(aside, { recursive: true, force: true });
+    return { backup, safety, leftAt: null };
+  } catch (error) {
+    logger.error(`Could not archive the replaced saves as a backup: ${sanitizeErrorMessage(error)}`);
+    return { backup, safety: null, leftAt: aside };
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Ban ledger
+ *
+ * The bot's OWN record of every ban issued from Discord: who, when, by which
+ * Discord admin and why. The server keeps a ban list of its own, but it holds
+ * bare user ids and lives inside the install folder, so a world wipe or a
+ * reinstall throws it away. This ledger lives in data/ beside the logs instead,
+ * and reapplyBans() pushes it back into the server whenever the server comes up -
+ * re-banning an id the server already knows is harmless, so that needs no
+ * detection of what was lost.
+ *
+ * Deliberately depends on nothing but the REST client and the data-file plumbing,
+ * so the monitor can import it without closing an import cycle.
+ */
+import { banPlayer } from './palworld.js';
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('BanList');
+
+/** Ledger file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'bans.json';
+
+/**
+ * One ledger entry.
+ * @typedef {Object} BanEntry
+ * @property {string} userId - Platform user id the ban applies to
+ * @property {string} name - Player name at ban time (the id when it was unknown)
+ * @property {string} bannedAt - ISO timestamp of the ban
+ * @property {string} bannedBy - Discord username of the admin who issued it
+ * @property {string} reason - Reason given, also shown to the player
+ */
+
+/**
+ * Every ban in the ledger, oldest first.
+ * @returns {BanEntry[]} Ledger entries; empty when there are none
+ */
+export function listBans() {
+  const bans = readJsonFile(FILE_NAME, []);
+  return Array.isArray(bans) ? bans : [];
+}
+
+/**
+ * Looks up a ledger entry by user id, or by recorded name case-insensitively.
+ * @param {string} query - User id or player name
+ * @returns {BanEntry|undefined} The matching entry, if any
+ */
+export function findBan(query) {
+  const wanted = query.trim();
+  const lowered = wanted.toLowerCase();
+  const bans = listBans();
+  return bans.find(b => b.userId === wanted) ?? bans.find(b => b.name.toLowerCase() === lowered);
+}
+
+/**
+ * Records a ban, replacing any earlier entry for the same user id so a re-ban
+ * updates the who/when/why rather than duplicating the row.
+ * @param {BanEntry} entry - Ban to record
+ */
+export function recordBan(entry) {
+  const bans = listBans().filter(b => b.userId !== entry.userId);
+  bans.push(entry);
+  writeJsonFile(FILE_NAME, bans);
+}
+
+/**
+ * Removes a ban from the ledger.
+ * @param {string} userId - User id to remove
+ * @returns {BanEntry|null} The removed entry, or null when the id was not in the ledger
+ */
+export function removeBan(userId) {
+  const bans = listBans();
+  const removed = bans.find(b => b.userId === userId) ?? null;
+  if (removed) writeJsonFile(FILE_NAME, bans.filter(b => b.userId !== userId));
+  return removed;
+}
+
+/**
+ * Pushes every ledger entry back into the server's ban list. Called on each
+ * transition to UP, which covers a wiped or reinstalled server without having to
+ * detect one. Best-effort: never throws, and one failed id does not stop the rest.
+ * @returns {Promise<number>} How many bans the server accepted
+ */
+export async function reapplyBans() {
+  const bans = listBans();
+  let applied = 0;
+  for (const ban of bans) {
+    try {
+      await banPlayer(ban.userId, ban.reason);
+      applied++;
+    } catch (error) {
+      logger.warn(`Could not re-apply ban for ${ban.userId}: ${sanitizeErrorMessage(error)}`);
+    }
+  }
+  if (bans.length > 0) logger.info(`Re-applied ${applied}/${bans.length} ledger ban(s)`);
+  return applied;
+}
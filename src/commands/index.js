@@ -1,8 +1,9 @@
 /**
  * Command collector — the single place that assembles every co-located command
- * module into the two shapes the runtime consumes: the definition array
- * registered with Discord (commandDefinitions) and the name->handler dispatch
- * map (commandHandlers).
+ * module into the shapes the runtime consumes: the definition array registered
+ * with Discord (commandDefinitions), the name->handler dispatch map
+ * (commandHandlers) and, for commands with autocompleted options, the
+ * name->autocomplete map (commandAutocompleters).
  *
  * Each command file owns BOTH its definition and its handler, so the two can no
  * longer drift apart. Here they are derived from ONE source object per command:
@@ -22,7 +23,22 @@ import { command as palhelp } from './palhelp.js';
 import { command as palannounce } from './palannounce.js';
 import { command as palsave } from './palsave.js';
 import { command as palkill } from './palkill.js';
+import { command as palrestart } from './palrestart.js';
 import { command as palperf } from './palperf.js';
+import { command as palkick } from './palkick.js';
+import { command as palban } from './palban.js';
+import { command as palunban } from './palunban.js';
+import { command as palallow } from './palallow.js';
+import { command as palseen } from './palseen.js';
+import { command as palleaderboard } from './palleaderboard.js';
+import { command as palprogress } from './palprogress.js';
+import { command as palsettings } from './palsettings.js';
+import { command as palconfig } from './palconfig.js';
+import { command as palpreset } from './palpreset.js';
+import { command as palbackup } from './palbackup.js';
+import { command as palcrashes } from './palcrashes.js';
+import { command as palmaintenance } from './palmaintenance.js';
+import { command as pallink } from './pallink.js';
 
 // Registration order is fixed here so the Discord command list and /palhelp
 // render in the same familiar order across deploys.
@@ -36,7 +52,22 @@ const commands = [
   palannounce,
   palsave,
   palkill,
-  palperf
+  palrestart,
+  palperf,
+  palkick,
+  palban,
+  palunban,
+  palallow,
+  palseen,
+  palleaderboard,
+  palprogress,
+  palsettings,
+  palconfig,
+  palpreset,
+  palbackup,
+  palcrashes,
+  palmaintenance,
+  pallink
 ];
 
 /** Slash command JSON definitions, in registration order. */
@@ -46,3 +77,11 @@ export const commandDefinitions = commands.map(c => c.definition);
 export const commandHandlers = Object.fromEntries(
   commands.map(c => [c.definition.name, c.handler])
 );
+
+/**
+ * name -> autocomplete responder, for the commands that export one. Keyed the
+ * same way as commandHandlers so the two can never disagree on a name.
+ */
+export const commandAutocompleters = Object.fromEntries(
+  commands.filter(c => c.autocomplete).map(c => [c.definition.name, c.autocomplete])
+);
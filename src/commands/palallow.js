@@ -0,0 +1,94 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { listAllowed, findAllowed, addAllowed, removeAllowed, allowedChoices } from '../allowlist.js';
+import { findPlayerHistory, playerChoices } from '../playerhistory.js';
+import { escapeName, createAllowListEmbed } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import config from '../config/index.js';
+import { isUserId } from './shared.js';
+
+/** A bare SteamID64, as copied from a Steam profile URL. */
+const STEAM_ID64_PATTERN = /^\d{17}$/;
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palallow')
+    .setDescription('Manage the allowlist of players let onto the server (admin)')
+    .addSubcommand(s => s
+      .setName('add')
+      .setDescription('Allow a player onto the server')
+      .addStringOption(o => o
+        .setName('player')
+        .setDescription('Name of a player the bot has seen, or a Steam user id (steam_7656... or the bare number)')
+        .setRequired(true)
+        .setAutocomplete(true)
+        .setMaxLength(100)))
+    .addSubcommand(s => s
+      .setName('remove')
+      .setDescription('Take a player off the allowlist')
+      .addStringOption(o => o
+        .setName('player')
+        .setDescription('Name or user id as listed')
+        .setRequired(true)
+        .setAutocomplete(true)
+        .setMaxLength(100)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('Show everyone on the allowlist'))
+    .toJSON(),
+
+  // add offers everyone the session log knows - a kicked stranger is in it too,
+  // which is how an admin lets in someone who just tried to join; remove offers
+  // only the listed entries.
+  autocomplete: async (interaction) => {
+    const typed = interaction.options.getFocused();
+    return interaction.options.getSubcommand() === 'remove' ? allowedChoices(typed) : playerChoices(typed);
+  },
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // The allowlist lives on disk, so none of this needs a live server.
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      return safeEdit(interaction, { embeds: [createAllowListEmbed(listAllowed(), config.allowlist.enabled)] });
+    }
+
+    let query = interaction.options.getString('player', true).trim();
+    if (STEAM_ID64_PATTERN.test(query)) query = `steam_${query}`;
+
+    if (subcommand === 'remove') {
+      const entry = findAllowed(query);
+      if (!entry) return safeEdit(interaction, 'Nobody by that name or id is on the allowlist. Check `/palallow list`.');
+      try {
+        removeAllowed(entry.userId);
+      } catch (e) {
+        return safeEdit(interaction, `Allowlist not updated: \`${sanitizeErrorMessage(e)}\``);
+      }
+      return safeEdit(interaction, `Removed **${escapeName(entry.name)}** from the allowlist.`
+        + (config.allowlist.enabled ? ' They will be kicked the next time the bot sees them online.' : ''));
+    }
+
+    // A player the bot has seen resolves by name; anyone else needs their id.
+    const seen = findPlayerHistory(query);
+    let target;
+    if (seen) {
+      target = { userId: seen.userId, name: seen.name };
+    } else if (isUserId(query)) {
+      target = { userId: query, name: findAllowed(query)?.name ?? query };
+    } else {
+      return safeEdit(interaction,
+        'The bot has never seen a player by that name. Give their user id instead (e.g. `steam_7656...`).');
+    }
+
+    try {
+      addAllowed({ ...target, addedAt: new Date().toISOString(), addedBy: interaction.user.username });
+    } catch (e) {
+      return safeEdit(interaction, `Allowlist not updated: \`${sanitizeErrorMessage(e)}\``);
+    }
+    return safeEdit(interaction, `Added **${escapeName(target.name)}** (\`${target.userId}\`) to the allowlist.`);
+  }
+};
@@ -0,0 +1,77 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { doRestoreBackup } from '../actions.js';
+import { listBackups, backupChoices, backupsEnabled, verifyBackup } from '../backup.js';
+import { capDescription, createBackupListEmbed, replyWithResult } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palbackup')
+    .setDescription('List, verify and restore world-save backups (admin)')
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('Show every backup kept, newest first'))
+    .addSubcommand(s => s
+      .setName('restore')
+      .setDescription('Stop the server, put a backup in place of the world and start it again')
+      .addStringOption(o => o
+        .setName('id')
+        .setDescription('Backup to restore')
+        .setRequired(true)
+        .setAutocomplete(true)
+        .setMaxLength(40)))
+    .addSubcommand(s => s
+      .setName('verify')
+      .setDescription('Re-hash a backup archive and report any corruption')
+      .addStringOption(o => o
+        .setName('id')
+        .setDescription('Backup to verify')
+        .setRequired(true)
+        .setAutocomplete(true)
+        .setMaxLength(40)))
+    .toJSON(),
+
+  autocomplete: async (interaction) => backupChoices(interaction.options.getFocused()),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // None of this needs the server up: the manifest and archives are on disk,
+    // and the restore stops a running server itself.
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      return safeEdit(interaction, { embeds: [createBackupListEmbed(listBackups(), backupsEnabled())] });
+    }
+
+    if (subcommand === 'verify') {
+      let result;
+      try {
+        result = await verifyBackup(interaction.options.getString('id', true));
+      } catch (e) {
+        return safeEdit(interaction, sanitizeErrorMessage(e));
+      }
+      const { backup, problems } = result;
+      const embed = new EmbedBuilder()
+        .setTitle(`Backup ${backup.id}`)
+        .setDescription(problems.length
+          ? capDescription([`❌ **Corrupt** — don't restore from it. ${problems.length} problem(s):`, ...problems.map(p => `• ${p}`)])
+          : `✅ **Intact** — all ${backup.files.length} file(s) match the checksums recorded when it was taken.`)
+        .setColor(problems.length ? '#ff0000' : '#00ff00');
+      return safeEdit(interaction, { embeds: [embed] });
+    }
+
+    // doRestoreBackup runs stop -> restore -> start under one lock; onProgress
+    // surfaces the intermediate messages like /palbounce does.
+    const r = await doRestoreBackup({
+      id: interaction.options.getString('id', true),
+      actor: interaction.user.username,
+      originChannelId: interaction.channelId,
+      onProgress: (m) => safeEdit(interaction, m)
+    });
+    return replyWithResult(interaction, r, 'Backup restored. Server should be up shortly.');
+  }
+};
@@ -0,0 +1,68 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { getPlayers } from '../palworld.js';
+import { doBan } from '../actions.js';
+import { listBans, findBan } from '../banlist.js';
+import { playerName, createBanListEmbed } from '../embeds.js';
+import { requireServerUp, findPlayer, isUserId } from './shared.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palban')
+    .setDescription('Ban a player, or list the ban ledger (admin)')
+    .addSubcommand(s => s
+      .setName('add')
+      .setDescription('Ban a player and record it in the ban ledger')
+      .addStringOption(o => o
+        .setName('player')
+        .setDescription('Online player name, or a Steam user id (e.g. steam_7656...) for someone offline')
+        .setRequired(true)
+        .setMaxLength(100))
+      .addStringOption(o => o
+        .setName('reason')
+        .setDescription('Reason shown to the player and kept in the ledger')
+        .setRequired(true)
+        .setMaxLength(200)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('Show every ban in the ledger'))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // The ledger is read off disk, so listing needs no live server.
+    if (interaction.options.getSubcommand() === 'list') {
+      return safeEdit(interaction, { embeds: [createBanListEmbed(listBans())] });
+    }
+
+    // Early return if server is down - the ban API needs a live server
+    if (!(await requireServerUp(interaction))) return;
+
+    const query = interaction.options.getString('player', true).trim();
+    const online = findPlayer(await getPlayers(), query);
+
+    // An offline player can only be named by user id; keep any name the ledger
+    // already has for them rather than recording the bare id.
+    let target;
+    if (online) {
+      target = { userId: online.userId, name: playerName(online) };
+    } else if (isUserId(query)) {
+      target = { userId: query, name: findBan(query)?.name ?? query };
+    } else {
+      return safeEdit(interaction,
+        'No online player matches that name. To ban someone who is offline, give their user id (e.g. `steam_7656...`).');
+    }
+
+    const r = await doBan({
+      ...target,
+      reason: interaction.options.getString('reason', true),
+      actor: interaction.user.username,
+      originChannelId: interaction.channelId
+    });
+    return safeEdit(interaction, r.message);
+  }
+};
@@ -0,0 +1,120 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { readWorldSettings, findIniKey, encodeSettingValue, settingKeyChoices } from '../worldsettings.js';
+import { listPendingSettings, stageSetting, clearPendingSettings } from '../pendingsettings.js';
+import { capDescription, discordTimestamp, inlineCode } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palconfig')
+    .setDescription('Stage world-settings changes, written at the next restart (admin)')
+    .addSubcommand(s => s
+      .setName('set')
+      .setDescription('Stage a new value for a PalWorldSettings.ini setting')
+      .addStringOption(o => o
+        .setName('key')
+        .setDescription('Setting name, e.g. ExpRate')
+        .setRequired(true)
+        .setAutocomplete(true)
+        .setMaxLength(100))
+      .addStringOption(o => o
+        .setName('value')
+        .setDescription('New value, e.g. 2.5, True, All or text')
+        .setRequired(true)
+        .setMaxLength(200)))
+    .addSubcommand(s => s
+      .setName('pending')
+      .setDescription('Show the staged changes against the current file'))
+    .addSubcommand(s => s
+      .setName('clear')
+      .setDescription('Drop one staged change, or all of them')
+      .addStringOption(o => o
+        .setName('key')
+        .setDescription('Setting to unstage; leave empty to drop everything')
+        .setAutocomplete(true)
+        .setMaxLength(100)))
+    .toJSON(),
+
+  // set offers the whole catalog; clear offers only what is staged.
+  autocomplete: async (interaction) => {
+    const typed = interaction.options.getFocused();
+    if (interaction.options.getSubcommand() !== 'clear') return settingKeyChoices(typed);
+    const needle = typed.trim().toLowerCase();
+    return listPendingSettings()
+      .filter(p => p.key.toLowerCase().includes(needle))
+      .slice(0, 25)
+      .map(p => ({ name: p.key, value: p.key }));
+  },
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Everything here works off the ini on disk and the staging file, so none of
+    // it needs the server up - or down: staging is always safe, and the write
+    // itself waits for the next restart.
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'clear') {
+      const key = interaction.options.getString('key');
+      let dropped;
+      try {
+        dropped = clearPendingSettings(key ?? undefined);
+      } catch (e) {
+        return safeEdit(interaction, `Staged changes not updated: \`${sanitizeErrorMessage(e)}\``);
+      }
+      if (dropped.length === 0) return safeEdit(interaction, key ? `\`${key}\` has no staged change.` : 'Nothing is staged.');
+      return safeEdit(interaction, `Dropped ${dropped.length} staged change(s): ${dropped.map(p => inlineCode(p.key)).join(', ')}.`);
+    }
+
+    let ini;
+    try {
+      ini = readWorldSettings();
+    } catch (e) {
+      return safeEdit(interaction, `Can't read the settings file: ${sanitizeErrorMessage(e)}`);
+    }
+
+    if (subcommand === 'pending') {
+      const pending = listPendingSettings();
+      if (pending.length === 0) return safeEdit(interaction, 'Nothing is staged. Use `/palconfig set` to stage a change.');
+
+      // The "from" side is read fresh from the file, not remembered from staging
+      // time, so a hand edit since then shows up in the diff.
+      const lines = pending.map(p =>
+        `\`${p.key}\`: ${ini.entries.has(p.key) ? inlineCode(ini.entries.get(p.key)) : '*(not in file)*'} → ${inlineCode(p.value)}`
+        + ` — ${p.stagedBy}, ${discordTimestamp(p.stagedAt, 'R')}`);
+      const embed = new EmbedBuilder()
+        .setTitle(`Staged Settings (${pending.length})`)
+        .setDescription(capDescription(lines))
+        .setColor('#ffa500')
+        .setFooter({ text: 'Written to PalWorldSettings.ini at the next /palbounce, scheduled restart or /palstart.' });
+      return safeEdit(interaction, { embeds: [embed] });
+    }
+
+    const key = findIniKey(ini.entries, interaction.options.getString('key', true));
+    if (!key) return safeEdit(interaction, 'PalWorldSettings.ini has no setting by that name.');
+
+    const current = ini.entries.get(key);
+    let value;
+    try {
+      value = encodeSettingValue(key, interaction.options.getString('value', true), current);
+    } catch (e) {
+      return safeEdit(interaction, `Not staged: ${e.message}`);
+    }
+
+    let outcome;
+    try {
+      outcome = stageSetting({ key, value, stagedBy: interaction.user.username, stagedAt: new Date().toISOString() }, current);
+    } catch (e) {
+      return safeEdit(interaction, `Staged changes not updated: \`${sanitizeErrorMessage(e)}\``);
+    }
+    if (outcome === 'unchanged') {
+      return safeEdit(interaction, `\`${key}\` is already ${inlineCode(current)} in the file, so no change is staged for it.`);
+    }
+    return safeEdit(interaction,
+      `Staged \`${key}\`: ${inlineCode(current)} → ${inlineCode(value)}. It is written to the file at the next restart; see \`/palconfig pending\`.`);
+  }
+};
@@ -0,0 +1,27 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { replyPaginated } from '../utils/pagination.js';
+import { listCrashes } from '../crashes.js';
+import { createCrashEmbed } from '../embeds.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palcrashes')
+    .setDescription('Crash history: when the server went down on its own, and its last log lines (admin)')
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Read off disk, so this works - and is most useful - while the server is down.
+    const crashes = listCrashes();
+    if (crashes.length === 0) return safeEdit(interaction, 'No crashes recorded. Stops made by the bot are never counted as crashes.');
+
+    // Newest first, each numbered by its place in the whole history.
+    const pages = crashes.map((crash, i) => createCrashEmbed(crash, i + 1)).reverse();
+    return replyPaginated(interaction, pages);
+  }
+};
@@ -0,0 +1,48 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { getPlayers } from '../palworld.js';
+import { doKick } from '../actions.js';
+import { playerName } from '../embeds.js';
+import { requireServerUp, findPlayer } from './shared.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palkick')
+    .setDescription('Kick an online player from the server (admin)')
+    .addStringOption(o => o
+      .setName('player')
+      .setDescription('Player name or Steam user id, as /palplayers shows it')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('Reason shown to the player and in the announce channel')
+      .setRequired(true)
+      .setMaxLength(200))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Early return if server is down - there is nobody to kick
+    if (!(await requireServerUp(interaction))) return;
+
+    const query = interaction.options.getString('player', true);
+    const player = findPlayer(await getPlayers(), query);
+    if (!player) {
+      return safeEdit(interaction, 'No online player matches that name or id. Check `/palplayers`.');
+    }
+
+    const r = await doKick({
+      userId: player.userId,
+      name: playerName(player),
+      reason: interaction.options.getString('reason', true),
+      actor: interaction.user.username,
+      originChannelId: interaction.channelId
+    });
+    return safeEdit(interaction, r.message);
+  }
+};
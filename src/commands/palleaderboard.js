@@ -0,0 +1,68 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAuthorization } from '../middleware/auth.js';
+import { replyPaginated } from '../utils/pagination.js';
+import { buildLeaderboard } from '../playerhistory.js';
+import { escapeName, formatUptime, discordTimestamp } from '../embeds.js';
+
+/** Players listed per page. */
+const PAGE_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Leaderboard periods: label and window start. "Today" runs from the host's local
+ * midnight; the week and month are rolling, so early in a calendar week the board
+ * is never near-empty.
+ */
+const PERIODS = {
+  today: { label: 'Today', since: (now) => new Date(now).setHours(0, 0, 0, 0) },
+  week: { label: 'Past 7 days', since: (now) => now - 7 * DAY_MS },
+  month: { label: 'Past 30 days', since: (now) => now - 30 * DAY_MS },
+  all: { label: 'All time', since: () => 0 }
+};
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palleaderboard')
+    .setDescription('Rank players by playtime, with the peak concurrent player count')
+    .addStringOption(o => o
+      .setName('period')
+      .setDescription('Time period to rank (default: past 7 days)')
+      .addChoices(
+        { name: 'Today', value: 'today' },
+        { name: 'Past 7 days', value: 'week' },
+        { name: 'Past 30 days', value: 'month' },
+        { name: 'All time', value: 'all' }
+      ))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Authorization check - only users with 'palserver' role can use any commands
+    if (!checkAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Deliberately NO requireServerUp: the board is built from the session log.
+    const period = PERIODS[interaction.options.getString('period') ?? 'week'];
+    const now = Date.now();
+    const { rows, peak } = buildLeaderboard(period.since(now), now);
+
+    const peakValue = peak.count > 0
+      ? `**${peak.count}** player(s), first reached ${discordTimestamp(peak.at)}`
+      : 'Nobody played in this period.';
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+    const pages = Array.from({ length: pageCount }, (_, page) => {
+      // Names are attacker-controlled, so they are escaped like formatPlayerList does.
+      const lines = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map((row, i) =>
+        `**${page * PAGE_SIZE + i + 1}.** ${escapeName(row.name)} — ${formatUptime(row.seconds)} (${row.sessions} session${row.sessions === 1 ? '' : 's'})`);
+
+      return new EmbedBuilder()
+        .setTitle(`Playtime Leaderboard — ${period.label}`)
+        .setDescription(lines.length ? lines.join('\n') : 'No recorded playtime in this period.')
+        .addFields({ name: 'Peak concurrent players', value: peakValue, inline: false })
+        .setColor('#ffd700');
+    });
+
+    return replyPaginated(interaction, pages);
+  }
+};
@@ -0,0 +1,63 @@
+import { MessageFlags, SlashCommandBuilder } from 'discord.js';
+import { checkAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { issueLinkCode, getPendingCode, getLinkByDiscordUser, removeLink } from '../links.js';
+import { escapeName, discordTimestamp } from '../embeds.js';
+import config from '../config/index.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('pallink')
+    .setDescription('Link your Discord account to your Palworld character')
+    .addSubcommand(s => s
+      .setName('start')
+      .setDescription('Get a one-time code to put in your character name'))
+    .addSubcommand(s => s
+      .setName('status')
+      .setDescription('Show which character your Discord account is linked to'))
+    .addSubcommand(s => s
+      .setName('remove')
+      .setDescription('Unlink your Discord account from your character'))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Authorization check - only users with 'palserver' role can use any commands
+    if (!checkAuthorization(interaction)) return;
+    // Ephemeral throughout: the code is a secret until it has been used, and a
+    // member's link is nobody else's business.
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const discordUserId = interaction.user.id;
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'start') {
+      const { code, expiresAt } = issueLinkCode(discordUserId, interaction.user.username);
+      // The code can only be seen by a roster poll; name the slower cadence that
+      // is guaranteed to run rather than promising the optional faster one.
+      const pollMinutes = Math.round((config.monitoring.joinLeaveAnnouncements
+        ? config.monitoring.playerPollIntervalMs
+        : config.monitoring.intervalMs) / 60000) || 1;
+      return safeEdit(interaction,
+        `Your code is **${code}**. Rename your character so its name contains \`${code}\`, then stay online `
+        + `until the bot sees it - it checks about every ${pollMinutes} min. You'll get a DM once you're linked, `
+        + `or check \`/pallink status\`. The code expires ${discordTimestamp(expiresAt, 'R')}.`);
+    }
+
+    if (subcommand === 'remove') {
+      const removed = removeLink(discordUserId);
+      return safeEdit(interaction, removed
+        ? `Unlinked from **${escapeName(removed.playerName)}**.`
+        : 'Your Discord account is not linked to a character.');
+    }
+
+    const link = getLinkByDiscordUser(discordUserId);
+    if (link) {
+      return safeEdit(interaction,
+        `Linked to **${escapeName(link.playerName)}** (\`${link.userId}\`) since ${discordTimestamp(link.linkedAt, 'd')}.`);
+    }
+    const pending = getPendingCode(discordUserId);
+    return safeEdit(interaction, pending
+      ? `Not linked yet. Waiting to see **${pending.code}** in your character name - it expires ${discordTimestamp(pending.expiresAt, 'R')}.`
+      : 'Not linked. Run `/pallink start` to get a code.');
+  }
+};
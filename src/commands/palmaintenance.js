@@ -0,0 +1,36 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { doMaintenance } from '../actions.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palmaintenance')
+    .setDescription('Keep the bot\'s automation off the server while you work on the host (admin)')
+    .addSubcommand(s => s
+      .setName('on')
+      .setDescription('Suspend auto-stop, auto-restart and crash recovery, and /palstart for non-admins')
+      .addStringOption(o => o
+        .setName('reason')
+        .setDescription('What is being worked on, shown in the announcement')
+        .setMaxLength(100)))
+    .addSubcommand(s => s
+      .setName('off')
+      .setDescription('End maintenance and hand the server back to the bot'))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // No requireServerUp: maintenance is as likely to start with the server down.
+    const r = await doMaintenance({
+      on: interaction.options.getSubcommand() === 'on',
+      reason: interaction.options.getString('reason'),
+      actor: interaction.user.username,
+      originChannelId: interaction.channelId
+    });
+    return safeEdit(interaction, r.message);
+  }
+};
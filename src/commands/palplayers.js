@@ -2,13 +2,16 @@ import { SlashCommandBuilder } from 'discord.js';
 import { checkAuthorization } from '../middleware/auth.js';
 import { safeEdit } from '../utils/interactions.js';
 import { getPlayers } from '../palworld.js';
-import { formatPlayerList } from '../embeds.js';
+import { formatPlayerList, formatPlayerDetail } from '../embeds.js';
 import { requireServerUp } from './shared.js';
 
 export const command = {
   definition: new SlashCommandBuilder()
     .setName('palplayers')
     .setDescription('List current players')
+    .addBooleanOption(o => o
+      .setName('detail')
+      .setDescription('Also show each player\'s ping and level'))
     .toJSON(),
 
   handler: async (interaction) => {
@@ -20,7 +23,8 @@ export const command = {
     if (!(await requireServerUp(interaction))) return;
 
     const players = await getPlayers();
-    const list = players.length ? formatPlayerList(players) : 'No players online.';
+    if (!players.length) return safeEdit(interaction, 'No players online.');
+    const list = interaction.options.getBoolean('detail') ? formatPlayerDetail(players) : formatPlayerList(players);
     return safeEdit(interaction, list);
   }
 };
@@ -0,0 +1,121 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { replyPaginated } from '../utils/pagination.js';
+import { doApplyPreset } from '../actions.js';
+import { listPresets, getPreset, savePreset, deletePreset, presetChanges, presetChoices, PRESET_NAME_PATTERN } from '../presets.js';
+import { readWorldSettings } from '../worldsettings.js';
+import { capDescription, discordTimestamp, inlineCode, replyWithResult } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+
+/**
+ * Adds the preset-name option every subcommand but list takes.
+ * @param {import('discord.js').SlashCommandStringOption} o - Option builder
+ * @param {boolean} autocomplete - Offer the saved presets
+ * @returns {import('discord.js').SlashCommandStringOption} The configured option
+ */
+function nameOption(o, autocomplete) {
+  return o
+    .setName('name')
+    .setDescription(autocomplete ? 'Saved preset' : 'Preset name: letters, digits, spaces, - and _')
+    .setRequired(true)
+    .setAutocomplete(autocomplete)
+    .setMaxLength(32);
+}
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palpreset')
+    .setDescription('Save and swap named world-settings presets (admin)')
+    .addSubcommand(s => s
+      .setName('save')
+      .setDescription('Save the current PalWorldSettings.ini values as a preset')
+      .addStringOption(o => nameOption(o, false)))
+    .addSubcommand(s => s
+      .setName('apply')
+      .setDescription('Swap a preset in through a clean restart')
+      .addStringOption(o => nameOption(o, true)))
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('Show each preset and what it would change in the current file'))
+    .addSubcommand(s => s
+      .setName('delete')
+      .setDescription('Delete a saved preset')
+      .addStringOption(o => nameOption(o, true)))
+    .toJSON(),
+
+  autocomplete: async (interaction) => presetChoices(interaction.options.getFocused()),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'apply') {
+      // doApplyPreset runs the bounce sequence under one lock; onProgress surfaces
+      // the intermediate messages like /palbounce does.
+      const r = await doApplyPreset({
+        name: interaction.options.getString('name', true),
+        actor: interaction.user.username,
+        originChannelId: interaction.channelId,
+        onProgress: (m) => safeEdit(interaction, m)
+      });
+      return replyWithResult(interaction, r, 'Preset applied. Server should be up shortly.');
+    }
+
+    if (subcommand === 'delete') {
+      let removed;
+      try {
+        removed = deletePreset(interaction.options.getString('name', true));
+      } catch (e) {
+        return safeEdit(interaction, `Presets not updated: \`${sanitizeErrorMessage(e)}\``);
+      }
+      return safeEdit(interaction, removed ? `Deleted preset **${removed.name}**.` : 'No preset by that name.');
+    }
+
+    // save and list both work against the file as it is now.
+    let ini;
+    try {
+      ini = readWorldSettings();
+    } catch (e) {
+      return safeEdit(interaction, `Can't read the settings file: ${sanitizeErrorMessage(e)}`);
+    }
+
+    if (subcommand === 'save') {
+      const name = interaction.options.getString('name', true).trim();
+      if (!PRESET_NAME_PATTERN.test(name)) {
+        return safeEdit(interaction, 'Preset names are up to 32 letters, digits, spaces, `-` and `_`, starting with a letter or digit.');
+      }
+      const replacing = getPreset(name);
+      let preset;
+      try {
+        preset = savePreset(replacing?.name ?? name, ini.entries, interaction.user.username);
+      } catch (e) {
+        return safeEdit(interaction, `Preset not saved: \`${sanitizeErrorMessage(e)}\``);
+      }
+      return safeEdit(interaction,
+        `${replacing ? 'Updated' : 'Saved'} preset **${preset.name}** with ${Object.keys(preset.values).length} settings from the current file.`);
+    }
+
+    const presets = listPresets();
+    if (presets.length === 0) return safeEdit(interaction, 'No presets saved yet. Use `/palpreset save` to save the current settings.');
+
+    const pages = presets.map(preset => {
+      const changes = presetChanges(preset, ini.entries);
+      const lines = changes.map(c => `\`${c.key}\`: ${inlineCode(c.from)} → ${inlineCode(c.to)}`);
+      return new EmbedBuilder()
+        .setTitle(`Preset — ${preset.name}`)
+        .setDescription(capDescription([
+          `Saved by ${preset.savedBy} ${discordTimestamp(preset.savedAt, 'R')}.`,
+          changes.length
+            ? `Applying it would change **${changes.length}** setting(s) in the current file:`
+            : 'Matches the current file — applying it would change nothing.',
+          ...lines
+        ]))
+        .setColor(changes.length ? '#ffa500' : '#00ff00');
+    });
+    return replyPaginated(interaction, pages);
+  }
+};
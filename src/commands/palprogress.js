@@ -0,0 +1,80 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { replyPaginated } from '../utils/pagination.js';
+import { findPlayerHistory, playerChoices } from '../playerhistory.js';
+import { getLevelHistory } from '../levels.js';
+import { escapeName, discordTimestamp } from '../embeds.js';
+
+/** Table rows per page. */
+const PAGE_SIZE = 20;
+
+/**
+ * Renders an ISO timestamp for the table. A code block cannot hold Discord
+ * timestamp tags, so the table is in UTC and says so in its header.
+ * @param {string} iso - ISO timestamp
+ * @returns {string} 'YYYY-MM-DD HH:MM'
+ */
+function tableTime(iso) {
+  return iso.slice(0, 16).replace('T', ' ');
+}
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palprogress')
+    .setDescription('A player\'s level over time')
+    .addStringOption(o => o
+      .setName('player')
+      .setDescription('Player name')
+      .setRequired(true)
+      .setAutocomplete(true)
+      .setMaxLength(100))
+    .toJSON(),
+
+  autocomplete: async (interaction) => playerChoices(interaction.options.getFocused()),
+
+  handler: async (interaction) => {
+    // Authorization check - only users with 'palserver' role can use any commands
+    if (!checkAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Deliberately NO requireServerUp: the table comes from the level history.
+    const query = interaction.options.getString('player', true).trim();
+    const userId = findPlayerHistory(query)?.userId ?? query;
+    const history = getLevelHistory(userId);
+    if (!history) {
+      return safeEdit(interaction, 'No level history for that player yet - the bot records levels while they are online.');
+    }
+
+    // Each row is a change of level as a poll saw it, with the signed change
+    // since the row before and how long that took. A drop is a row too, so a
+    // level the player climbs back to appears again.
+    const rows = history.levels.map((entry, i) => {
+      const prev = history.levels[i - 1];
+      const delta = prev ? entry.level - prev.level : 0;
+      const change = prev ? `${delta > 0 ? '+' : ''}${delta}` : '';
+      const days = prev ? ((Date.parse(entry.at) - Date.parse(prev.at)) / 86400000).toFixed(1) : '';
+      return `${tableTime(entry.at)}  ${String(entry.level).padStart(5)}  ${change.padStart(6)}  ${days.padStart(7)}`;
+    });
+    const header = `${'When (UTC)'.padEnd(16)}  ${'Level'.padStart(5)}  ${'Change'.padStart(6)}  ${'Days'.padStart(7)}`;
+
+    const first = history.levels[0];
+    const latest = history.levels[history.levels.length - 1];
+    const summary = history.levels.length > 1
+      ? `Level **${first.level}** → **${latest.level}** since ${discordTimestamp(first.at, 'd')}`
+      : `Level **${latest.level}**, unchanged since ${discordTimestamp(first.at, 'd')}`;
+
+    const pageCount = Math.ceil(rows.length / PAGE_SIZE);
+    const pages = Array.from({ length: pageCount }, (_, page) => {
+      const table = [header, ...rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE)].join('\n');
+      // The name is attacker-controlled, so it is escaped like formatPlayerList does.
+      return new EmbedBuilder()
+        .setTitle(`${escapeName(history.name)} — Level Progress`)
+        .setDescription(`${summary}\n\`\`\`\n${table}\n\`\`\``)
+        .setColor('#00bfff')
+        .setFooter({ text: 'Times are as precise as the poll that noticed the change.' });
+    });
+
+    return replyPaginated(interaction, pages);
+  }
+};
@@ -0,0 +1,61 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { doArmRestart, doCancelRestart } from '../actions.js';
+import { restartCountdownStatus } from '../autorestart.js';
+import { discordTimestamp, formatUptime } from '../embeds.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palrestart')
+    .setDescription('Restart the server after an in-game countdown, or check or cancel one (admin)')
+    .addSubcommand(s => s
+      .setName('in')
+      .setDescription('Warn players, then restart the server after this many minutes, online or not')
+      .addIntegerOption(o => o
+        .setName('minutes')
+        .setDescription('Minutes until the restart')
+        .setRequired(true)
+        .setMinValue(1)
+        .setMaxValue(1440))
+      .addStringOption(o => o
+        .setName('reason')
+        .setDescription('Why, shown to players with the first warning')
+        .setMaxLength(100)))
+    .addSubcommand(s => s
+      .setName('status')
+      .setDescription('Show the restart counting down, if any, and how long is left'))
+    .addSubcommand(s => s
+      .setName('cancel')
+      .setDescription('Cancel the restart counting down and tell the players'))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'status') {
+      const pending = restartCountdownStatus();
+      if (!pending) return safeEdit(interaction, 'No restart is counting down.');
+      const closing = pending.action === 'stop';
+      if (pending.inFlight) return safeEdit(interaction, closing ? '🌙 The server is stopping for closing time now.' : '🔁 The server is restarting now.');
+      const left = Math.max(Math.round((pending.dueAt - Date.now()) / 1000), 0);
+      return safeEdit(interaction,
+        `${closing ? '🌙 Stop' : '🔁 Restart'} at ${discordTimestamp(pending.dueAt, 't')} — ${formatUptime(left)} left (${pending.trigger}`
+        + `${pending.reason ? `: ${pending.reason}` : ''}).`);
+    }
+
+    const actor = interaction.user.username;
+    const r = subcommand === 'cancel'
+      ? await doCancelRestart({ actor, originChannelId: interaction.channelId })
+      : await doArmRestart({
+        minutes: interaction.options.getInteger('minutes', true),
+        reason: interaction.options.getString('reason'),
+        actor,
+        originChannelId: interaction.channelId
+      });
+    return safeEdit(interaction, r.message);
+  }
+};
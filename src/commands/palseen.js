@@ -0,0 +1,51 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { findPlayerHistory, playerChoices } from '../playerhistory.js';
+import { escapeName, formatUptime, discordTimestamp } from '../embeds.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palseen')
+    .setDescription('When a player was last on, and how long they have played')
+    .addStringOption(o => o
+      .setName('player')
+      .setDescription('Player name')
+      .setRequired(true)
+      .setAutocomplete(true)
+      .setMaxLength(100))
+    .toJSON(),
+
+  autocomplete: async (interaction) => playerChoices(interaction.options.getFocused()),
+
+  handler: async (interaction) => {
+    // Authorization check - only users with 'palserver' role can use any commands
+    if (!checkAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Deliberately NO requireServerUp: the answer comes from the session log, and
+    // "when was X last on?" is asked just as often while the server is down.
+    const history = findPlayerHistory(interaction.options.getString('player', true));
+    if (!history) {
+      return safeEdit(interaction, 'No player by that name has been seen since the bot started keeping session history.');
+    }
+
+    const lastSeen = history.online
+      ? '**Online now**'
+      : `${discordTimestamp(history.lastSeenAt, 'R')} (${discordTimestamp(history.lastSeenAt)})`;
+
+    // The name is attacker-controlled, so it is escaped like formatPlayerList does.
+    const embed = new EmbedBuilder()
+      .setTitle(escapeName(history.name))
+      .addFields(
+        { name: 'Last seen', value: lastSeen, inline: false },
+        { name: history.online ? 'Current session' : 'Last session', value: formatUptime(history.lastSessionSeconds), inline: true },
+        { name: 'Total playtime', value: formatUptime(history.totalSeconds), inline: true },
+        { name: 'Sessions', value: `${history.sessionCount}`, inline: true }
+      )
+      .setColor(history.online ? '#00ff00' : '#808080')
+      .setFooter({ text: 'Times are as precise as the poll that noticed the join or leave.' });
+
+    return safeEdit(interaction, { embeds: [embed] });
+  }
+};
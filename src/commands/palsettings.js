@@ -0,0 +1,53 @@
+import { EmbedBuilder, SlashCommandBuilder } from 'discord.js';
+import { checkAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { replyPaginated } from '../utils/pagination.js';
+import { getSettings } from '../palworld.js';
+import { capDescription, inlineCode } from '../embeds.js';
+import {
+  categorizeSettings, findSettingKey, formatSettingValue, settingCategory, settingKeyChoices
+} from '../worldsettings.js';
+import { requireServerUp } from './shared.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palsettings')
+    .setDescription('Show the world settings the server is running with')
+    .addStringOption(o => o
+      .setName('key')
+      .setDescription('Look up a single setting, e.g. ExpRate')
+      .setAutocomplete(true)
+      .setMaxLength(100))
+    .toJSON(),
+
+  autocomplete: async (interaction) => settingKeyChoices(interaction.options.getFocused()),
+
+  handler: async (interaction) => {
+    // Authorization check - only users with 'palserver' role can use any commands
+    if (!checkAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // The effective settings come from the running server, not the ini on disk.
+    if (!(await requireServerUp(interaction))) return;
+
+    const settings = await getSettings();
+    const query = interaction.options.getString('key');
+
+    if (query) {
+      const key = findSettingKey(settings, query);
+      if (!key) {
+        return safeEdit(interaction, 'The server reports no setting by that name. Run `/palsettings` without a key to see them all.');
+      }
+      return safeEdit(interaction, `\`${key}\` = ${inlineCode(formatSettingValue(settings[key]))} *(${settingCategory(key)})*`);
+    }
+
+    const pages = categorizeSettings(settings).map(category => new EmbedBuilder()
+      .setTitle(`World Settings — ${category.name}`)
+      .setDescription(capDescription(category.entries.map(([key, value]) => `\`${key}\` · ${inlineCode(formatSettingValue(value))}`)))
+      .setColor('#00bfff')
+      .setFooter({ text: 'Live values from the running server' }));
+
+    if (pages.length === 0) return safeEdit(interaction, 'The server returned no settings.');
+    return replyPaginated(interaction, pages);
+  }
+};
@@ -1,13 +1,18 @@
 import { SlashCommandBuilder } from 'discord.js';
-import { checkAuthorization } from '../middleware/auth.js';
+import { checkAuthorization, userHasAdminRole } from '../middleware/auth.js';
 import { safeEdit } from '../utils/interactions.js';
 import { doStart } from '../actions.js';
-import { replyWithResult } from '../embeds.js';
+import { withinOperatingHours, nextOpening } from '../monitor.js';
+import { getMaintenance } from '../maintenance.js';
+import { replyWithResult, discordTimestamp } from '../embeds.js';
 
 export const command = {
   definition: new SlashCommandBuilder()
     .setName('palstart')
     .setDescription('Start the Palworld server')
+    .addBooleanOption(o => o
+      .setName('override')
+      .setDescription('Start it outside the operating hours (admin)'))
     .toJSON(),
 
   handler: async (interaction) => {
@@ -15,12 +20,31 @@ export const command = {
     if (!checkAuthorization(interaction)) return;
     await interaction.deferReply();
 
+    // In maintenance mode only admins may start the server - they are the ones
+    // working on it.
+    const admin = userHasAdminRole(interaction);
+    const maintenance = getMaintenance();
+    if (maintenance.on && !admin) {
+      return safeEdit(interaction, `🛠️ The server is in maintenance${maintenance.reason ? ` (${maintenance.reason})` : ''}; only admins can start it.`);
+    }
+
+    // Outside OPERATING_HOURS the server stays closed unless an admin says otherwise.
+    if (!withinOperatingHours()) {
+      if (!(admin && interaction.options.getBoolean('override'))) {
+        const opens = nextOpening();
+        return safeEdit(interaction, 'The server is closed outside its operating hours'
+          + (opens ? ` and opens again ${discordTimestamp(opens, 'R')}.` : '.')
+          + (admin ? ' Use `override: True` to start it anyway.' : ''));
+      }
+    }
+
     // Shared action owns the lock + start orchestration; this command just
     // renders the result (embed on success, plain message otherwise).
     // onProgress surfaces the update-on-start "checking for updates" line.
     const r = await doStart({
       actor: interaction.user.username,
       originChannelId: interaction.channelId,
+      manual: true,
       onProgress: (m) => safeEdit(interaction, m)
     });
     return replyWithResult(interaction, r, 'Launch requested. Server should be up shortly.');
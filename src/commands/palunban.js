@@ -0,0 +1,43 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { checkAdminAuthorization } from '../middleware/auth.js';
+import { safeEdit } from '../utils/interactions.js';
+import { doUnban } from '../actions.js';
+import { findBan } from '../banlist.js';
+import { requireServerUp, isUserId } from './shared.js';
+
+export const command = {
+  definition: new SlashCommandBuilder()
+    .setName('palunban')
+    .setDescription('Lift a ban and remove it from the ban ledger (admin)')
+    .addStringOption(o => o
+      .setName('player')
+      .setDescription('Name as recorded in the ban ledger, or a Steam user id')
+      .setRequired(true)
+      .setMaxLength(100))
+    .toJSON(),
+
+  handler: async (interaction) => {
+    // Admin authorization check - requires the 'palserver-admin' role specifically
+    if (!checkAdminAuthorization(interaction)) return;
+    await interaction.deferReply();
+
+    // Early return if server is down - the unban API needs a live server
+    if (!(await requireServerUp(interaction))) return;
+
+    // A banned player is never online, so the ledger is the only name lookup.
+    // A bare user id is still accepted for bans issued outside the bot.
+    const query = interaction.options.getString('player', true).trim();
+    const ban = findBan(query);
+    if (!ban && !isUserId(query)) {
+      return safeEdit(interaction, 'Nobody by that name is in the ban ledger. Check `/palban list`, or give their user id.');
+    }
+
+    const r = await doUnban({
+      userId: ban?.userId ?? query,
+      name: ban?.name ?? query,
+      actor: interaction.user.username,
+      originChannelId: interaction.channelId
+    });
+    return safeEdit(interaction, r.message);
+  }
+};
@@ -6,6 +6,7 @@
  */
 import { isUp } from '../palworld.js';
 import { safeEdit } from '../utils/interactions.js';
+import { playerName } from '../embeds.js';
 
 /**
  * Helper function to check server status and return early if down
@@ -19,3 +20,35 @@ export async function requireServerUp(interaction) {
   }
   return true;
 }
+
+/**
+ * Resolves a command's player option against the online roster. Accepts the
+ * platform user id (e.g. 'steam_7656...'), the in-game player id, or the display
+ * name - ids first and exactly, so a player can't shadow someone else's id by
+ * naming themselves after it; names case-insensitively.
+ * @param {Array<object>} players - Player records from the Palworld API
+ * @param {string} query - Raw option value
+ * @returns {object|undefined} The matching player record, if any
+ */
+export function findPlayer(players, query) {
+  const wanted = query.trim();
+  const lowered = wanted.toLowerCase();
+  return players.find(p => p.userId === wanted || p.playerId === wanted)
+    ?? players.find(p => playerName(p).toLowerCase() === lowered);
+}
+
+/**
+ * Shape of a platform user id as the REST API reports it - a platform prefix and
+ * an account number, e.g. 'steam_76561198000000000'. Used to accept an id for a
+ * player who is not online, where there is no roster to resolve a name against.
+ */
+const USER_ID_PATTERN = /^[a-z]+_[A-Za-z0-9]+$/;
+
+/**
+ * Whether a command's player option is a platform user id rather than a name.
+ * @param {string} value - Raw option value
+ * @returns {boolean} True when the value has the shape of a user id
+ */
+export function isUserId(value) {
+  return USER_ID_PATTERN.test(value.trim());
+}
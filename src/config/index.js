@@ -13,6 +13,7 @@
  * - Organized configuration categories
  */
 import { createLogger } from '../utils/logger.js';
+import { parseSchedule, parseHours, isValidTimeZone, hostTimeZone } from '../utils/schedule.js';
 
 const logger = createLogger('Config');
 
@@ -89,6 +90,116 @@ function validateBoolean(name, value, defaultValue = false) {
   throw new Error(`${name} must be true or false, got: ${value}`);
 }
 
+/**
+ * Validates a comma-separated list of positive integers, each within bounds, and
+ * returns it sorted ascending with duplicates removed. Uses the supplied default
+ * when the value is unset or empty; any malformed entry is rejected, matching
+ * the module's fail-fast approach.
+ * @param {string} name - Environment variable name for error reporting
+ * @param {string|undefined} value - Comma-separated list to parse
+ * @param {number[]} defaultValue - List used when unset or empty
+ * @param {number} min - Minimum allowed entry
+ * @param {number} max - Maximum allowed entry
+ * @returns {number[]} Sorted, de-duplicated entries
+ * @throws {Error} If any entry is not an integer within bounds
+ */
+function validateIntegerList(name, value, defaultValue, min = 1, max = Number.MAX_SAFE_INTEGER) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return defaultValue;
+  }
+
+  const entries = String(value).split(',').map(part => {
+    const trimmed = part.trim();
+    if (!/^\d+$/.test(trimmed)) {
+      throw new Error(`${name} must be a comma-separated list of whole numbers, got: ${value}`);
+    }
+    return validatePositiveInteger(name, trimmed, min, max);
+  });
+
+  return [...new Set(entries)].sort((a, b) => a - b);
+}
+
+/**
+ * Validates a comma-separated list of durations, each a whole number with an
+ * h, m or s unit ("30m", "10s"), and returns them in seconds, largest first,
+ * with duplicates removed. Uses the supplied default when the value is unset or
+ * empty; any malformed or out-of-range entry is rejected.
+ * @param {string} name - Environment variable name for error reporting
+ * @param {string|undefined} value - Comma-separated durations to parse
+ * @param {number[]} defaultValue - Seconds used when unset or empty
+ * @param {number} min - Minimum allowed entry, in seconds
+ * @param {number} max - Maximum allowed entry, in seconds
+ * @returns {number[]} Entries in seconds, largest first
+ * @throws {Error} If any entry is malformed or out of range
+ */
+function validateDurationList(name, value, defaultValue, min = 1, max = Number.MAX_SAFE_INTEGER) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return defaultValue;
+  }
+
+  const units = { h: 3600, m: 60, s: 1 };
+  const entries = String(value).split(',').map(part => {
+    const match = /^(\d+)\s*([hms])$/i.exec(part.trim());
+    if (!match) {
+      throw new Error(`${name} must be a comma-separated list of durations such as 30m or 10s, got: ${value}`);
+    }
+    const seconds = Number(match[1]) * units[match[2].toLowerCase()];
+    if (seconds < min || seconds > max) {
+      throw new Error(`${name} entries must be between ${min}s and ${max}s, got: ${part.trim()}`);
+    }
+    return seconds;
+  });
+
+  return [...new Set(entries)].sort((a, b) => b - a);
+}
+
+/**
+ * Validates an optional wall-clock schedule such as "Mon,Thu 05:30; 04:00" -
+ * see utils/schedule.js for the format.
+ * @param {string} name - Environment variable name for error reporting
+ * @param {string|undefined} value - Schedule text
+ * @returns {import('../utils/schedule.js').ScheduleSlot[]|null} Parsed slots, or null when unset
+ * @throws {Error} If the schedule cannot be parsed
+ */
+function validateSchedule(name, value) {
+  if (!value || value.trim() === '') return null;
+  try {
+    return parseSchedule(value);
+  } catch (error) {
+    throw new Error(`${name} is not a valid schedule (${error.message}), got: ${value}`);
+  }
+}
+
+/**
+ * Validates optional weekly opening hours such as "Mon-Fri 18:00-23:30" - see
+ * utils/schedule.js for the format.
+ * @param {string} name - Environment variable name for error reporting
+ * @param {string|undefined} value - Hours text
+ * @returns {import('../utils/schedule.js').HoursSlot[]|null} Parsed windows, or null when unset
+ * @throws {Error} If the hours cannot be parsed
+ */
+function validateHours(name, value) {
+  if (!value || value.trim() === '') return null;
+  try {
+    return parseHours(value);
+  } catch (error) {
+    throw new Error(`${name} is not a valid set of opening hours (${error.message}), got: ${value}`);
+  }
+}
+
+/**
+ * Validates an optional IANA timezone name, falling back to the host's own zone.
+ * @param {string} name - Environment variable name for error reporting
+ * @param {string|undefined} value - Timezone name, e.g. 'Europe/Berlin'
+ * @returns {string} The timezone to use
+ * @throws {Error} If the name is not a timezone Intl knows
+ */
+function validateTimeZone(name, value) {
+  if (!value || value.trim() === '') return hostTimeZone();
+  if (!isValidTimeZone(value.trim())) throw new Error(`${name} must be an IANA timezone such as Europe/Berlin, got: ${value}`);
+  return value.trim();
+}
+
 // Parse and validate all configuration values
 const config = {
   // Discord Bot Configuration
@@ -99,6 +210,7 @@ const config = {
     roleName: validateOptionalString(process.env.PALSERVER_ROLE_NAME) || 'palserver',
     adminRoleName: validateOptionalString(process.env.PALSERVER_ADMIN_ROLE_NAME) || 'palserver-admin',
     announceChannelId: validateOptionalString(process.env.ANNOUNCE_CHANNEL_ID),
+    adminChannelId: validateOptionalString(process.env.ADMIN_CHANNEL_ID),
     hostActorName: validateOptionalString(process.env.HOST_ACTOR_NAME) || 'Host'
   },
 
@@ -113,7 +225,10 @@ const config = {
   server: {
     serviceName: validateOptionalString(process.env.SERVICE_NAME),
     startCommand: validateOptionalString(process.env.START_CMD),
-    startWorkingDirectory: validateOptionalString(process.env.START_CWD)
+    startWorkingDirectory: validateOptionalString(process.env.START_CWD),
+    // Full path to PalWorldSettings.ini. Empty derives it from the install root
+    // (STEAM_INSTALL_DIR, else START_CWD) - see worldsettings.worldSettingsPath.
+    worldSettingsPath: validateOptionalString(process.env.WORLD_SETTINGS_PATH)
   },
 
   // Timing Configuration (all in milliseconds unless specified)
@@ -194,12 +309,94 @@ const config = {
       process.env.EMPTY_CHECK_THRESHOLD || '2',
       1,  // Minimum 1 check
       10  // Maximum 10 checks
+    ),
+
+    // Post "X joined / Y left" lines to the announce channel (default: off).
+    // Turning it on also starts the player-presence poller below while the
+    // server is up; the monitor interval is far too coarse for these lines.
+    joinLeaveAnnouncements: validateBoolean(
+      'JOIN_LEAVE_ANNOUNCEMENTS',
+      process.env.JOIN_LEAVE_ANNOUNCEMENTS,
+      false
+    ),
+
+    // Interval of the player-presence poller in milliseconds (default: 1 minute).
+    // It requests /players only, so it is far lighter than a monitor check.
+    playerPollIntervalMs: validatePositiveInteger(
+      'PLAYER_POLL_INTERVAL_MS',
+      process.env.PLAYER_POLL_INTERVAL_MS || '60000',
+      15000,  // Minimum 15 seconds
+      600000  // Maximum 10 minutes
+    ),
+
+    // Interval of the heartbeat in milliseconds (default: 30 seconds). While the
+    // server is up it probes the REST API this often, so a crash is noticed
+    // quickly rather than at the next monitor check. 0 turns it off.
+    heartbeatIntervalMs: validatePositiveInteger(
+      'HEARTBEAT_INTERVAL_MS',
+      process.env.HEARTBEAT_INTERVAL_MS || '30000',
+      0,      // 0 disables the heartbeat
+      600000  // Maximum 10 minutes
+    ),
+
+    // Ping in milliseconds above which a player counts as lagging (default: 0,
+    // which turns lag alerts off). Samples come from the player poll while it
+    // runs, otherwise from the monitor poll - never both.
+    lagAlertPingMs: validatePositiveInteger(
+      'LAG_ALERT_PING_MS',
+      process.env.LAG_ALERT_PING_MS || '0',
+      0,     // 0 disables lag alerts
+      10000  // Maximum 10 seconds
+    ),
+
+    // Consecutive lagging samples before a player is reported (default: 3), so
+    // one slow poll is not an alert.
+    lagAlertSamples: validatePositiveInteger(
+      'LAG_ALERT_SAMPLES',
+      process.env.LAG_ALERT_SAMPLES || '3',
+      1,  // Minimum 1 sample
+      20  // Maximum 20 samples
+    )
+  },
+
+  // Level Milestone Configuration
+  // Level history is always recorded; only the announcements are opt-in.
+  levels: {
+    // Post "X reached level N" to the announce channel (default: off).
+    milestoneAnnouncements: validateBoolean(
+      'LEVEL_MILESTONE_ANNOUNCEMENTS',
+      process.env.LEVEL_MILESTONE_ANNOUNCEMENTS,
+      false
+    ),
+
+    // Levels worth announcing (default: every ten levels up to 60).
+    milestones: validateIntegerList(
+      'LEVEL_MILESTONES',
+      process.env.LEVEL_MILESTONES,
+      [10, 20, 30, 40, 50, 60],
+      1,   // Minimum level 1
+      999  // Generous ceiling; the game's cap moves with updates
     )
   },
 
+  // Allowlist Configuration
+  // Opt-in. When enabled, anyone on the roster who is not on the /palallow list
+  // is kicked on each monitor poll and right after the bot starts the server.
+  allowlist: {
+    // Master switch: off unless explicitly enabled - turning it on with an empty
+    // list would kick everyone, so enforcement also refuses to run until the list
+    // has at least one entry.
+    enabled: validateBoolean('ALLOWLIST_ENABLED', process.env.ALLOWLIST_ENABLED, false),
+
+    // Message shown to a kicked player.
+    kickMessage: validateOptionalString(process.env.ALLOWLIST_KICK_MESSAGE)
+      || 'This server is private. Ask an admin to add you to the allowlist.'
+  },
+
   // Scheduled Auto-Restart Configuration
-  // Opt-in. The monitor watches server uptime and, once it nears intervalHours,
-  // arms a countdown that warns in-game before saving, stopping and restarting.
+  // Opt-in. The monitor watches server uptime and the clock and, once either
+  // nears its restart, arms a countdown that warns in-game before saving,
+  // stopping and restarting - see autorestart.js for which wins when both are due.
   autoRestart: {
     // Master switch: off unless explicitly enabled, mirroring steam.updateOnStart.
     enabled: validateBoolean('AUTO_RESTART_ENABLED', process.env.AUTO_RESTART_ENABLED, false),
@@ -208,10 +405,168 @@ const config = {
     intervalHours: validatePositiveInteger(
       'RESTART_INTERVAL_HOURS',
       process.env.RESTART_INTERVAL_HOURS || '6',
-      1,   // Minimum 1 hour: the baked-in warning schedule starts 30 minutes out,
-           // so a sub-hour interval could want to warn about the next restart
-           // before the previous one had even finished.
+      1,   // Minimum 1 hour; the warnings must also fit inside it - checked below.
       168  // Maximum 1 week
+    ),
+
+    // In-game warnings before each restart, as durations before it (default:
+    // 30, 20, 10, 5, 3, 2 and 1 minutes).
+    warnings: validateDurationList(
+      'RESTART_WARNINGS',
+      process.env.RESTART_WARNINGS,
+      [1800, 1200, 600, 300, 180, 120, 60],
+      1,     // Minimum 1 second
+      21600  // Maximum 6 hours
+    ),
+
+    // In-game warning text; {time} becomes "5 minutes", "30 seconds" and so on.
+    warningMessage: validateOptionalString(process.env.RESTART_WARNING_MESSAGE)
+      || 'Server restarting in {time}!',
+
+    // In-game text broadcast as the restart's shutdown begins.
+    nowMessage: validateOptionalString(process.env.RESTART_NOW_MESSAGE)
+      || 'Server restarting now!',
+
+    // Times of day to restart at, e.g. "04:00" or "Mon,Thu 05:30" (default: none,
+    // uptime only). The uptime interval stays on as a fallback.
+    schedule: validateSchedule('RESTART_SCHEDULE', process.env.RESTART_SCHEDULE),
+
+    // Timezone the schedule's times are in (default: the host's own).
+    timeZone: validateTimeZone('RESTART_TIMEZONE', process.env.RESTART_TIMEZONE)
+  },
+
+  // Operating Hours Configuration
+  // Opt-in. Starts the server as each window opens and stops it as it closes;
+  // outside the windows /palstart needs an admin's override - see monitor/hours.js.
+  operatingHours: {
+    // Weekly windows, e.g. "Mon-Fri 18:00-23:30; Sat,Sun 12:00-02:00" (default:
+    // none, which turns operating hours off).
+    hours: validateHours('OPERATING_HOURS', process.env.OPERATING_HOURS),
+
+    // Timezone the windows' times are in (default: the host's own).
+    timeZone: validateTimeZone('OPERATING_TIMEZONE', process.env.OPERATING_TIMEZONE),
+
+    // At closing time, run the RESTART_WARNINGS countdown and then stop the server
+    // with players online (default: off - stop it once everyone has left).
+    closeCountdown: validateBoolean('OPERATING_CLOSE_COUNTDOWN', process.env.OPERATING_CLOSE_COUNTDOWN, false)
+  },
+
+  // Periodic Save Configuration
+  // Opt-in. Saves the world on a timer while players are online, on top of
+  // whatever the server's own autosave does.
+  autoSave: {
+    // Minutes between saves (default: 0, which turns periodic saves off).
+    intervalMinutes: validatePositiveInteger(
+      'AUTOSAVE_INTERVAL_MINUTES',
+      process.env.AUTOSAVE_INTERVAL_MINUTES || '0',
+      0,   // 0 disables periodic saves
+      240  // Maximum 4 hours
+    ),
+
+    // Post a short "World saved." line to in-game chat after each one (default: off).
+    notice: validateBoolean('AUTOSAVE_NOTICE', process.env.AUTOSAVE_NOTICE, false)
+  },
+
+  // Crash Recovery Configuration
+  // Opt-in. Relaunches the server after a crash, waiting longer after each one,
+  // and gives up - until the next /palstart - when crashes come too close together.
+  recovery: {
+    // Master switch: off unless explicitly enabled.
+    enabled: validateBoolean('AUTO_RECOVERY_ENABLED', process.env.AUTO_RECOVERY_ENABLED, false),
+
+    // Wait before relaunching after a lone crash; doubles with each further crash
+    // inside the window (default: 30 seconds).
+    initialDelaySeconds: validatePositiveInteger(
+      'RECOVERY_INITIAL_DELAY_SECONDS',
+      process.env.RECOVERY_INITIAL_DELAY_SECONDS || '30',
+      5,    // Minimum 5 seconds: give the dead process time to let go of its files
+      3600  // Maximum 1 hour
+    ),
+
+    // Longest the doubling may grow to (default: 10 minutes).
+    maxDelaySeconds: validatePositiveInteger(
+      'RECOVERY_MAX_DELAY_SECONDS',
+      process.env.RECOVERY_MAX_DELAY_SECONDS || '600',
+      5,     // Minimum 5 seconds
+      86400  // Maximum 1 day
+    ),
+
+    // Crashes inside the window that count as a crash loop (default: 3).
+    crashLimit: validatePositiveInteger(
+      'RECOVERY_CRASH_LIMIT',
+      process.env.RECOVERY_CRASH_LIMIT || '3',
+      2,  // Minimum 2: a single crash is what recovery is for
+      20  // Maximum 20
+    ),
+
+    // Window the crash limit is counted over (default: 1 hour).
+    crashWindowMinutes: validatePositiveInteger(
+      'RECOVERY_CRASH_WINDOW_MINUTES',
+      process.env.RECOVERY_CRASH_WINDOW_MINUTES || '60',
+      1,    // Minimum 1 minute
+      1440  // Maximum 1 day
+    )
+  },
+
+  // Wedged-Server Watchdog Configuration
+  // When the REST API falls silent but the server process is still running, the
+  // watchdog waits this long before calling the server wedged and alerting admins.
+  watchdog: {
+    // Minutes of silence from a live process before it counts as wedged
+    // (default: 5). Needs START_CMD: without an image name there is no process
+    // to look for, and a silent server is simply DOWN.
+    wedgedMinutes: validatePositiveInteger(
+      'WEDGED_TIMEOUT_MINUTES',
+      process.env.WEDGED_TIMEOUT_MINUTES || '5',
+      0,   // 0 disables the watchdog
+      120  // Maximum 2 hours
+    ),
+
+    // Force-kill a wedged server and hand it to crash recovery for the relaunch
+    // (default: off - alert only).
+    restart: validateBoolean('WEDGED_RESTART', process.env.WEDGED_RESTART, false)
+  },
+
+  // World-Save Backup Configuration
+  // Opt-in. Copies START_CWD\Pal\Saved\SaveGames after each save-and-settle
+  // window, before every update, and on the interval below - see backup.js.
+  backup: {
+    // Master switch: off unless explicitly enabled. Needs START_CWD to find the saves.
+    enabled: validateBoolean('BACKUP_ENABLED', process.env.BACKUP_ENABLED, false),
+
+    // Folder the backups are written to. Empty uses backups/ beside logs/.
+    directory: validateOptionalString(process.env.BACKUP_DIR),
+
+    // Minutes between backups while the server is up (default: 1 hour).
+    intervalMinutes: validatePositiveInteger(
+      'BACKUP_INTERVAL_MINUTES',
+      process.env.BACKUP_INTERVAL_MINUTES || '60',
+      0,    // 0 keeps only the stop and update backups
+      1440  // Maximum 1 day
+    ),
+
+    // Newest backups always kept, whatever their age (default: 10).
+    keepLast: validatePositiveInteger(
+      'BACKUP_KEEP_LAST',
+      process.env.BACKUP_KEEP_LAST || '10',
+      1,   // Minimum 1: the backup just taken is never pruned
+      200  // Maximum 200
+    ),
+
+    // Days, counting back from the newest, that keep their newest backup (default: 7).
+    keepDaily: validatePositiveInteger(
+      'BACKUP_KEEP_DAILY',
+      process.env.BACKUP_KEEP_DAILY || '7',
+      0,   // 0 disables daily retention
+      366  // Maximum a year
+    ),
+
+    // Weeks, counting back from the newest, that keep their newest backup (default: 4).
+    keepWeekly: validatePositiveInteger(
+      'BACKUP_KEEP_WEEKLY',
+      process.env.BACKUP_KEEP_WEEKLY || '4',
+      0,   // 0 disables weekly retention
+      104  // Maximum two years
     )
   },
 
@@ -257,6 +612,39 @@ if (!config.server.serviceName && !config.server.startCommand) {
   );
 }
 
+// Backups locate the world saves from START_CWD; without it there is nothing to copy.
+if (config.backup.enabled && !config.server.startWorkingDirectory) {
+  throw new Error('BACKUP_ENABLED needs START_CWD set to the server install folder, where Pal\\Saved\\SaveGames lives.');
+}
+
+// A countdown is armed one monitor poll before its first warning is due (see
+// autorestart.js). If that reaches back a whole interval, a server would be in
+// the restart window the moment it came up and never run a full interval.
+if (config.autoRestart.enabled) {
+  const countdownSeconds = config.autoRestart.warnings[0] + config.monitoring.intervalMs / 1000;
+  if (countdownSeconds >= config.autoRestart.intervalHours * 3600) {
+    throw new Error(
+      `RESTART_WARNINGS starts ${config.autoRestart.warnings[0]}s before the restart, which with one ` +
+      `MONITOR_INTERVAL_MS poll to arm it needs ${countdownSeconds}s - more than RESTART_INTERVAL_HOURS allows. ` +
+      'Shorten the warnings or the poll interval, or raise RESTART_INTERVAL_HOURS.'
+    );
+  }
+}
+
+// The backoff doubles from the initial delay up to the cap; a cap below the start
+// would make every wait the cap and hide the misconfiguration.
+if (config.recovery.maxDelaySeconds < config.recovery.initialDelaySeconds) {
+  throw new Error('RECOVERY_MAX_DELAY_SECONDS must be at least RECOVERY_INITIAL_DELAY_SECONDS.');
+}
+
+// LAG_ALERT_PING_MS is 0 for off, but a small nonzero value would not mean "a few
+// ms is lag" - it would flag every player on every sample.
+if (config.monitoring.lagAlertPingMs > 0 && config.monitoring.lagAlertPingMs < 50) {
+  throw new Error(
+    `LAG_ALERT_PING_MS must be 0 (off) or at least 50, got: ${config.monitoring.lagAlertPingMs}`
+  );
+}
+
 // Log configuration summary (without sensitive data)
 logger.info('Configuration loaded successfully');
 
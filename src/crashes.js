@@ -0,0 +1,48 @@
+/**
+ * Crash history
+ *
+ * Every time the server goes down without the bot having stopped it, the
+ * monitor records what it knew at that moment in data/crashes.json: when it
+ * noticed, when the server was last seen alive, how long it had been up, the
+ * last performance sample, and the tail of palserver.log. /palcrashes shows the
+ * history; the newest MAX_CRASHES are kept.
+ *
+ * Deliberately depends on nothing but the data-file plumbing, so the monitor can
+ * import it without closing an import cycle.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+
+/** Crash history file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'crashes.json';
+
+/** Most crashes kept; older ones are dropped as new ones arrive. */
+const MAX_CRASHES = 100;
+
+/**
+ * One recorded crash.
+ * @typedef {Object} Crash
+ * @property {string} detectedAt - ISO timestamp of the check that noticed it
+ * @property {string|null} lastSeenUpAt - ISO timestamp of the last check that
+ *   found it alive, if any did
+ * @property {number|null} uptimeSeconds - Uptime at the last sign of life, when known
+ * @property {{timestamp: string, uptime: number, fps: number, players: number}|null} lastSample -
+ *   The last performance sample of that server lifetime, if one was taken
+ * @property {string[]} logTail - Final lines of palserver.log at the time
+ */
+
+/**
+ * Every recorded crash, oldest first.
+ * @returns {Crash[]} Crashes; empty when there are none
+ */
+export function listCrashes() {
+  const crashes = readJsonFile(FILE_NAME, []);
+  return Array.isArray(crashes) ? crashes : [];
+}
+
+/**
+ * Appends a crash to the history, dropping the oldest past MAX_CRASHES.
+ * @param {Crash} crash - Crash to record
+ */
+export function recordCrash(crash) {
+  writeJsonFile(FILE_NAME, [...listCrashes(), crash].slice(-MAX_CRASHES));
+}
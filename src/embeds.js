@@ -27,6 +27,53 @@ export function formatUptime(seconds) {
   return parts.join(' ');
 }
 
+/**
+ * Convert a byte count to a short human-readable size (e.g., "48.2 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size string
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Reads a player's display name across Palworld versions, which have reported it
+ * as either `name` or `playerName`
+ * @param {object} player - Player record from the Palworld API
+ * @returns {string} Raw (unescaped) player name
+ */
+export function playerName(player) {
+  return player.name ?? player.playerName ?? 'Unknown';
+}
+
+/**
+ * Escapes an attacker-controlled player name for interpolation into a Discord
+ * message. maskedLink is off by default in discord.js and must be requested
+ * explicitly, otherwise a player called "[FREE PALS](url)" plants a clickable link.
+ * @param {string} name - Raw player name
+ * @returns {string} Markdown-safe name
+ */
+export function escapeName(name) {
+  return escapeMarkdown(name, { maskedLink: true });
+}
+
+/**
+ * Wraps free text in inline code, where any markdown in it stays inert. A
+ * backtick, the one character that could end the span, is swapped for a quote.
+ * @param {string} text - Text to show verbatim
+ * @returns {string} Inline-code markup
+ */
+export function inlineCode(text) {
+  return `\`${String(text).replaceAll('`', "'")}\``;
+}
+
 /**
  * Formats player names as a bulleted list capped to Discord's 1024-character
  * embed field limit, ending with "…and N more" when truncated
@@ -34,13 +81,10 @@ export function formatUptime(seconds) {
  * @returns {string} Bulleted player name list
  */
 export function formatPlayerList(players) {
-  // Handle multiple possible player name formats from different Palworld versions.
   // Names are attacker-controlled by anyone who can join the server, so they are
-  // escaped before interpolation: maskedLink is off by default in discord.js and
-  // must be requested explicitly, otherwise a player called "[FREE PALS](url)"
-  // plants a clickable link in the embed. Escaping runs before the length check
-  // so the 1024 cap is measured against the text Discord actually receives.
-  const lines = players.map(p => `• ${escapeMarkdown(p.name ?? p.playerName ?? 'Unknown', { maskedLink: true })}`);
+  // escaped before interpolation (see escapeName). Escaping runs before the length
+  // check so the 1024 cap is measured against the text Discord actually receives.
+  const lines = players.map(p => `• ${escapeName(playerName(p))}`);
   let list = lines.join('\n');
   while (list.length > 1024) {
     lines.pop();
@@ -49,6 +93,173 @@ export function formatPlayerList(players) {
   return list;
 }
 
+/**
+ * Formats the /palplayers detail view: one line per player with ping and level,
+ * worst ping first, under a median-ping summary. Comparing one player's ping with
+ * the median is what separates a single bad connection (one outlier) from a
+ * server-side problem (everyone high). Capped like formatPlayerList, but to a
+ * full message (2000 characters) since it is sent as plain content.
+ * @param {Array<object>} players - Player records from the Palworld API
+ * @returns {string} Summary line and per-player lines
+ */
+export function formatPlayerDetail(players) {
+  const pings = players.map(p => p.ping).filter(Number.isFinite).sort((a, b) => a - b);
+  const median = pings.length
+    ? (pings.length % 2 ? pings[(pings.length - 1) / 2] : (pings[pings.length / 2 - 1] + pings[pings.length / 2]) / 2)
+    : null;
+  const header = `**${players.length} online** · median ping ${median === null ? 'unknown' : `${Math.round(median)} ms`}`;
+
+  const byPing = [...players].sort((a, b) => (Number.isFinite(b.ping) ? b.ping : -1) - (Number.isFinite(a.ping) ? a.ping : -1));
+  const lines = byPing.map(p => {
+    const ping = Number.isFinite(p.ping) ? `${Math.round(p.ping)} ms` : '? ms';
+    const level = Number.isFinite(p.level) ? ` · Lv ${p.level}` : '';
+    return `• ${escapeName(playerName(p))} — ${ping}${level}`;
+  });
+
+  let list = [header, ...lines].join('\n');
+  while (list.length > 2000) {
+    lines.pop();
+    list = [header, ...lines, `…and ${players.length - lines.length} more`].join('\n');
+  }
+  return list;
+}
+
+/**
+ * Renders an ISO timestamp as a Discord timestamp tag, which every viewer sees in
+ * their own timezone and locale
+ * @param {string|number} when - ISO timestamp or epoch milliseconds
+ * @param {string} [style='f'] - Discord timestamp style ('f' full, 'R' relative, 'd' date)
+ * @returns {string} Discord timestamp markup
+ */
+export function discordTimestamp(when, style = 'f') {
+  const ms = typeof when === 'number' ? when : Date.parse(when);
+  return `<t:${Math.floor(ms / 1000)}:${style}>`;
+}
+
+/**
+ * Joins lines for an embed description, dropping trailing lines with an
+ * "…and N more" marker until the text fits Discord's 4096-character limit
+ * @param {string[]} lines - Lines to render, in order
+ * @returns {string} Description text
+ */
+export function capDescription(lines) {
+  const kept = [...lines];
+  let text = kept.join('\n');
+  while (text.length > 4096) {
+    kept.pop();
+    text = `${kept.join('\n')}\n…and ${lines.length - kept.length} more`;
+  }
+  return text;
+}
+
+/**
+ * Builds the /palban list embed from the ban ledger. Names were captured from the
+ * roster and are attacker-controlled, so they are escaped like everywhere else.
+ * @param {Array<{userId: string, name: string, bannedAt: string, bannedBy: string, reason: string}>} bans - Ledger entries
+ * @returns {EmbedBuilder} Ban list embed
+ */
+export function createBanListEmbed(bans) {
+  const lines = bans.map(b => `• **${escapeName(b.name)}** (\`${b.userId}\`) — ${discordTimestamp(b.bannedAt, 'd')} by ${b.bannedBy}: ${b.reason}`);
+  return new EmbedBuilder()
+    .setTitle(`Ban Ledger (${bans.length})`)
+    .setDescription(bans.length ? capDescription(lines) : 'Nobody is banned.')
+    .setColor('#ff0000');
+}
+
+/**
+ * Creates the /palallow list embed.
+ * @param {Array<{userId: string, name: string, addedAt: string, addedBy: string}>} entries - Allowlist entries
+ * @param {boolean} enforced - Whether ALLOWLIST_ENABLED is on
+ * @returns {EmbedBuilder} Allowlist embed
+ */
+export function createAllowListEmbed(entries, enforced) {
+  const lines = entries.map(e => `• **${escapeName(e.name)}** (\`${e.userId}\`) — ${discordTimestamp(e.addedAt, 'd')} by ${e.addedBy}`);
+  return new EmbedBuilder()
+    .setTitle(`Allowlist (${entries.length})`)
+    .setDescription(entries.length ? capDescription(lines) : 'Nobody is on the allowlist.')
+    .setFooter({ text: enforced ? 'Enforced: anyone else is kicked.' : 'Not enforced: ALLOWLIST_ENABLED is off.' })
+    .setColor(enforced ? '#00ff00' : '#808080');
+}
+
+/**
+ * Creates the /palbackup list embed, newest backup first.
+ * @param {Array<{id: string, takenAt: string, reason: string, sizeBytes: number, uptimeSeconds: number|null}>} entries - Manifest entries, oldest first
+ * @param {boolean} enabled - Whether BACKUP_ENABLED is on
+ * @returns {EmbedBuilder} Backup list embed
+ */
+export function createBackupListEmbed(entries, enabled) {
+  const lines = [...entries].reverse().map(b => `• \`${b.id}\` — ${discordTimestamp(b.takenAt, 'f')} · ${b.reason} · ${formatBytes(b.sizeBytes)}`
+    + (b.uptimeSeconds === null ? '' : ` · up ${formatUptime(b.uptimeSeconds)}`));
+  return new EmbedBuilder()
+    .setTitle(`World Backups (${entries.length})`)
+    .setDescription(entries.length ? capDescription(lines) : 'No backups yet.')
+    .setFooter({ text: enabled ? 'Restore one with /palbackup restore.' : 'Not taking new backups: BACKUP_ENABLED is off.' })
+    .setColor(enabled ? '#00ff00' : '#808080');
+}
+
+/**
+ * Renders log lines as a code block no longer than a budget, dropping the
+ * oldest lines first. Backticks are swapped out so a log line cannot close the
+ * block early.
+ * @param {string[]} lines - Log lines, oldest first
+ * @param {number} budget - Most characters the block may take
+ * @returns {string} Code block, or '' when no line fits
+ * @private
+ */
+function logBlock(lines, budget) {
+  const kept = lines.map(l => l.replaceAll('`', "'"));
+  let block = `\`\`\`\n${kept.join('\n')}\n\`\`\``;
+  while (kept.length && block.length > budget) {
+    kept.shift();
+    block = `\`\`\`\n${kept.join('\n')}\n\`\`\``;
+  }
+  return kept.length ? block : '';
+}
+
+/**
+ * Builds the crash announcement: what went down, after how long, and the last
+ * performance sample - plus, for the admin channel, the tail of palserver.log.
+ * Fits in one Discord message.
+ * @param {string} serverName - Last known server name
+ * @param {import('./crashes.js').Crash} crash - Recorded crash
+ * @param {boolean} withLog - Append the palserver.log tail
+ * @returns {string} Message text
+ */
+export function formatCrashReport(serverName, crash, withLog) {
+  const lines = [`💥 **${serverName}** went down unexpectedly`
+    + (crash.uptimeSeconds === null ? '.' : ` after ${formatUptime(crash.uptimeSeconds)} up.`)];
+  if (crash.lastSample) {
+    const { timestamp, fps, players } = crash.lastSample;
+    lines.push(`Last sample ${discordTimestamp(timestamp, 'R')}: ${fps} FPS, ${players} player(s) online.`);
+  }
+  const text = lines.join('\n');
+  if (!withLog || crash.logTail.length === 0) return text;
+  const block = logBlock(crash.logTail, 2000 - text.length - 1);
+  return block ? `${text}\n${block}` : text;
+}
+
+/**
+ * Creates one /palcrashes page.
+ * @param {import('./crashes.js').Crash} crash - Recorded crash
+ * @param {number} number - Its position in the history, 1 = oldest
+ * @returns {EmbedBuilder} Crash embed
+ */
+export function createCrashEmbed(crash, number) {
+  const fields = [
+    { name: 'Noticed', value: discordTimestamp(crash.detectedAt, 'f'), inline: true },
+    { name: 'Last seen up', value: crash.lastSeenUpAt ? discordTimestamp(crash.lastSeenUpAt, 'T') : 'Unknown', inline: true },
+    { name: 'Uptime', value: crash.uptimeSeconds === null ? 'Unknown' : formatUptime(crash.uptimeSeconds), inline: true }
+  ];
+  if (crash.lastSample) {
+    fields.push({ name: 'Last sample', value: `${crash.lastSample.fps} FPS, ${crash.lastSample.players} player(s)`, inline: true });
+  }
+  return new EmbedBuilder()
+    .setTitle(`Crash #${number}`)
+    .addFields(fields)
+    .setDescription(logBlock(crash.logTail, 4096) || 'No palserver.log lines were captured.')
+    .setColor('#ff0000');
+}
+
 /**
  * Creates a server status embed with current server information
  * @param {string} title - Title for the embed (e.g., "Server Status", "Server Started")
@@ -1,10 +1,11 @@
 import { Client, GatewayIntentBits, MessageFlags, REST, Routes } from 'discord.js';
-import { commandDefinitions, commandHandlers } from './commands/index.js';
+import { commandDefinitions, commandHandlers, commandAutocompleters } from './commands/index.js';
 import { startMonitoring } from './monitor.js';
+import { userHasPalserverRole } from './middleware/auth.js';
 import { sanitizeErrorMessage } from './utils/security.js';
 import { createLogger } from './utils/logger.js';
 import { safeEdit, safeReply } from './utils/interactions.js';
-import { gracefulShutdown, doScheduledRestart } from './actions.js';
+import { gracefulShutdown, doScheduledRestart, doRecover, doOpeningStart, doClosingStop } from './actions.js';
 import config from './config/index.js';
 
 const logger = createLogger('DiscordBot');
@@ -33,13 +34,14 @@ client.once('ready', async () => {
     logger.error(`Slash command registration failed: ${sanitizeErrorMessage(err)}`);
   }
 
-  // Start background monitoring for auto-stop and scheduled-restart functionality.
-  // Both actions are injected rather than imported by monitor.js, which would
+  // Start background monitoring for auto-stop, scheduled-restart and crash-recovery
+  // functionality. The actions are injected rather than imported by monitor.js, which would
   // close an import cycle with actions.js.
-  await startMonitoring(gracefulShutdown, client, doScheduledRestart);
+  await startMonitoring(gracefulShutdown, client, doScheduledRestart, doRecover, { open: doOpeningStart, close: doClosingStop });
 });
 
 client.on('interactionCreate', async (interaction) => {
+  if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
   if (!interaction.isChatInputCommand()) return;
 
   // Single DRY line naming who ran what, on the happy path for every command.
@@ -66,6 +68,26 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
+/**
+ * Answers an autocomplete request from the command's own responder. Suggestions
+ * can name players, so members without the bot role get none - the command itself
+ * would refuse them anyway. Autocomplete is best-effort: it fires on every
+ * keystroke, a late answer is simply dropped by Discord, and a failure must never
+ * surface as an unhandled rejection, so everything is caught and logged quietly.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ */
+async function handleAutocomplete(interaction) {
+  try {
+    const autocomplete = commandAutocompleters[interaction.commandName];
+    if (!autocomplete || !userHasPalserverRole(interaction)) {
+      return await interaction.respond([]);
+    }
+    return await interaction.respond(await autocomplete(interaction));
+  } catch (err) {
+    logger.debug(`Autocomplete failed for /${interaction.commandName}: ${sanitizeErrorMessage(err)}`);
+  }
+}
+
 client.login(config.discord.token);
 
 // Log successful startup
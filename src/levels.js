@@ -0,0 +1,120 @@
+/**
+ * Player level history
+ *
+ * Keeps every level change the roster polls have seen, per player, in
+ * data/levels.json: a player's history is the list of levels they were seen at
+ * and when each was first seen. Only CHANGES are stored, so a player who logs on
+ * every day at the same level adds nothing, and the file stays small.
+ *
+ * A player's first sighting is recorded as a baseline and never announced - the
+ * bot did not watch that climb, and a fresh install must not congratulate the
+ * whole server at once. Milestones count from the highest level a player has
+ * ever been seen at, not the last one, so a level drop or a world wipe followed
+ * by the climb back does not announce the same milestones again. Resolution is
+ * the poll cadence, as with sessions.js.
+ *
+ * Deliberately depends on nothing but the data-file plumbing, so the monitor can
+ * import it without closing an import cycle.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('Levels');
+
+/** Level history file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'levels.json';
+
+/**
+ * One player's level history.
+ * @typedef {Object} LevelHistory
+ * @property {string} name - Latest display name seen
+ * @property {Array<{level: number, at: string}>} levels - Levels in the order
+ *   seen, each with the ISO timestamp of the poll that first saw it
+ * @property {number} peak - Highest level seen; every milestone up to it has
+ *   been announced or was already passed at the first sighting
+ */
+
+/** userId -> LevelHistory; null until first loaded from disk. */
+let histories = null;
+
+/**
+ * Loads the level histories on first use.
+ * @returns {Object<string, LevelHistory>} userId -> history
+ * @private
+ */
+function loadHistories() {
+  if (!histories) {
+    const saved = readJsonFile(FILE_NAME, {});
+    histories = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  }
+  return histories;
+}
+
+/**
+ * Records the levels in one roster and reports every milestone crossed above the
+ * player's previous peak. A jump over several milestones between two polls reports
+ * only the highest. Best-effort: never throws, and a failed write is retried by
+ * the next change.
+ * @param {Array<object>} players - The full /players roster from one poll
+ * @param {number[]} milestones - Levels worth announcing, ascending
+ * @param {number} [at=Date.now()] - Epoch ms of the poll
+ * @returns {Array<{userId: string, name: string, level: number}>} Milestones reached
+ */
+export function recordLevels(players, milestones, at = Date.now()) {
+  const all = loadHistories();
+  const reached = [];
+  let changed = false;
+
+  for (const player of players) {
+    if (!player.userId || !Number.isInteger(player.level)) continue;
+    const name = player.name ?? player.playerName ?? player.userId;
+    const history = all[player.userId];
+
+    if (!history) {
+      all[player.userId] = {
+        name, levels: [{ level: player.level, at: new Date(at).toISOString() }], peak: player.level
+      };
+      changed = true;
+      continue;
+    }
+
+    if (history.name !== name) {
+      history.name = name;
+      changed = true;
+    }
+    const previous = history.levels[history.levels.length - 1].level;
+    if (player.level === previous) continue;
+
+    // Files written before peak was kept: the highest level in the history.
+    const peak = history.peak ?? Math.max(...history.levels.map(l => l.level));
+    history.levels.push({ level: player.level, at: new Date(at).toISOString() });
+    changed = true;
+
+    history.peak = Math.max(peak, player.level);
+
+    const crossed = milestones.filter(m => m > peak && m <= player.level);
+    if (crossed.length) reached.push({ userId: player.userId, name, level: crossed[crossed.length - 1] });
+  }
+
+  if (changed) {
+    try {
+      writeJsonFile(FILE_NAME, all);
+    } catch (error) {
+      logger.warn(`Level history not saved: ${sanitizeErrorMessage(error)}`);
+    }
+  }
+  return reached;
+}
+
+/**
+ * One player's level history.
+ * @param {string} userId - Platform user id
+ * @returns {LevelHistory|undefined} The history, if the player's level was ever seen
+ */
+export function getLevelHistory(userId) {
+  const history = loadHistories()[userId];
+  if (!history) return undefined;
+  const levels = history.levels.map(l => ({ ...l }));
+  return { name: history.name, levels, peak: history.peak ?? Math.max(...levels.map(l => l.level)) };
+}
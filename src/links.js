@@ -0,0 +1,172 @@
+/**
+ * Discord-to-player account links
+ *
+ * Discord never exposes Steam identity, so nothing else can tell which Discord
+ * member plays which Palworld character. /pallink closes that gap with a
+ * one-time code: the member is shown a short code, renames their character to
+ * include it, and the next /players roster that shows the code proves they
+ * control that character. The proven pair is kept in data/links.json so other
+ * features can address players by Discord user.
+ *
+ * Pending codes are held in memory only. They are short-lived by design, and a
+ * bot restart simply means asking for a fresh one.
+ *
+ * Deliberately depends on nothing but the data-file plumbing, so the monitor
+ * can import it without closing an import cycle.
+ */
+import crypto from 'node:crypto';
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('Links');
+
+/** Link file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'links.json';
+
+/**
+ * How long a code stays valid. It has to be seen by a roster poll while the
+ * character carries it, and with join/leave announcements off the only poll is
+ * the monitor's (10 minutes by default), so this spans several of those.
+ */
+export const LINK_CODE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Code alphabet: upper-case letters and digits minus the look-alikes (0/O, 1/I/L),
+ * so a code typed into an in-game name box comes out right the first time.
+ */
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/** Characters per code - short enough to fit beside a name in Palworld's name box. */
+const CODE_LENGTH = 5;
+
+/**
+ * A proven Discord-to-player link.
+ * @typedef {Object} PlayerLink
+ * @property {string} discordUserId - Discord user snowflake
+ * @property {string} discordUsername - Discord username at link time
+ * @property {string} userId - Palworld platform user id
+ * @property {string} playerName - Character name at link time, with the code removed
+ * @property {string} linkedAt - ISO timestamp of the proof
+ */
+
+/** Discord user id -> { code, discordUsername, expiresAt }. */
+const pending = new Map();
+
+/**
+ * Every stored link.
+ * @returns {PlayerLink[]} Links, oldest first
+ */
+export function listLinks() {
+  const links = readJsonFile(FILE_NAME, []);
+  return Array.isArray(links) ? links : [];
+}
+
+/**
+ * The link for a Discord user, if they have proven one.
+ * @param {string} discordUserId - Discord user snowflake
+ * @returns {PlayerLink|undefined}
+ */
+export function getLinkByDiscordUser(discordUserId) {
+  return listLinks().find(l => l.discordUserId === discordUserId);
+}
+
+/**
+ * The link for a Palworld player, if its owner has proven one.
+ * @param {string} userId - Palworld platform user id
+ * @returns {PlayerLink|undefined}
+ */
+export function getLinkByPlayer(userId) {
+  return listLinks().find(l => l.userId === userId);
+}
+
+/**
+ * Removes a Discord user's link.
+ * @param {string} discordUserId - Discord user snowflake
+ * @returns {PlayerLink|null} The removed link, or null when there was none
+ */
+export function removeLink(discordUserId) {
+  const links = listLinks();
+  const removed = links.find(l => l.discordUserId === discordUserId) ?? null;
+  if (removed) writeJsonFile(FILE_NAME, links.filter(l => l.discordUserId !== discordUserId));
+  return removed;
+}
+
+/**
+ * Issues a fresh one-time code for a Discord user, replacing any code they were
+ * already holding. Codes are unique among those pending, so a roster match can
+ * only ever point at one requester.
+ * @param {string} discordUserId - Discord user snowflake
+ * @param {string} discordUsername - Discord username, kept on the link
+ * @returns {{code: string, expiresAt: number}} The code and its expiry (epoch ms)
+ */
+export function issueLinkCode(discordUserId, discordUsername) {
+  const inUse = new Set([...pending.values()].map(p => p.code));
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (inUse.has(code));
+
+  const expiresAt = Date.now() + LINK_CODE_TTL_MS;
+  pending.set(discordUserId, { code, discordUsername, expiresAt });
+  return { code, expiresAt };
+}
+
+/**
+ * The code a Discord user is currently holding, if it has not expired.
+ * @param {string} discordUserId - Discord user snowflake
+ * @returns {{code: string, expiresAt: number}|undefined}
+ */
+export function getPendingCode(discordUserId) {
+  const entry = pending.get(discordUserId);
+  if (!entry || entry.expiresAt <= Date.now()) return undefined;
+  return { code: entry.code, expiresAt: entry.expiresAt };
+}
+
+/**
+ * Checks a roster for pending codes and stores a link for every match. A match
+ * replaces any earlier link on either side - the Discord user's old character,
+ * or another member's claim on this character - because an in-game rename is
+ * the strongest proof of control there is. Expired codes are dropped here too.
+ * Best-effort: never throws.
+ * @param {Array<object>} players - The full /players roster from one poll
+ * @returns {PlayerLink[]} Links proven by this roster
+ */
+export function verifyLinkCodes(players) {
+  const now = Date.now();
+  for (const [discordUserId, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(discordUserId);
+  }
+  if (pending.size === 0) return [];
+
+  const proven = [];
+  for (const [discordUserId, entry] of pending) {
+    const player = players.find(p => (p.name ?? p.playerName ?? '').toUpperCase().includes(entry.code));
+    if (!player?.userId) continue;
+
+    const rawName = player.name ?? player.playerName;
+    proven.push({
+      discordUserId,
+      discordUsername: entry.discordUsername,
+      userId: player.userId,
+      playerName: rawName.replace(new RegExp(entry.code, 'i'), '').trim() || rawName,
+      linkedAt: new Date(now).toISOString()
+    });
+    pending.delete(discordUserId);
+  }
+  if (proven.length === 0) return [];
+
+  try {
+    const replaced = new Set(proven.flatMap(l => [`d:${l.discordUserId}`, `p:${l.userId}`]));
+    const kept = listLinks().filter(l => !replaced.has(`d:${l.discordUserId}`) && !replaced.has(`p:${l.userId}`));
+    writeJsonFile(FILE_NAME, [...kept, ...proven]);
+  } catch (error) {
+    logger.error(`Links not saved: ${sanitizeErrorMessage(error)}`);
+    return [];
+  }
+
+  for (const link of proven) {
+    logger.info(`Linked Discord user ${link.discordUsername} (${link.discordUserId}) to player ${link.userId}`);
+  }
+  return proven;
+}
@@ -24,3 +24,11 @@ export const withLock = async (fn) => {
   busy = true;
   try { return await fn(); } finally { busy = false; }
 };
+
+/**
+ * Reports whether an operation currently holds the shared lock. For background
+ * housekeeping that should simply stand aside while a start, stop or restart is
+ * under way, rather than take the lock itself and make that operation fail.
+ * @returns {boolean} True while the lock is held
+ */
+export const isLocked = () => busy;
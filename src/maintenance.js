@@ -0,0 +1,85 @@
+/**
+ * Maintenance mode
+ *
+ * While admins work on the host - swapping mods, editing files - the bot must
+ * keep its hands off the server: no auto-stop, no auto-restart, no crash
+ * recovery, no opening or closing for operating hours, and no /palstart from
+ * anyone but an admin. Each of those checks inMaintenance() and stands aside.
+ * The switch is kept in data/maintenance.json, so a bot restarted mid-way
+ * through the work comes back still in maintenance.
+ *
+ * Deliberately depends on nothing but the data-file plumbing, so any layer -
+ * the monitor, the actions, the tray - can import it without closing an import
+ * cycle. Those that show the mode register with onMaintenanceChange instead of
+ * being called from here.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('Maintenance');
+
+/** Maintenance file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'maintenance.json';
+
+/**
+ * The maintenance switch.
+ * @typedef {Object} MaintenanceState
+ * @property {boolean} on - Whether maintenance mode is on
+ * @property {string|null} [reason] - Why, as given to /palmaintenance on
+ * @property {string} [by] - Who turned it on
+ * @property {string} [since] - ISO timestamp of when it was turned on
+ */
+
+/** The switch as last read or written; loaded on first use. @type {MaintenanceState|null} */
+let state = null;
+
+/** Callbacks run after every change of the switch. */
+const listeners = [];
+
+/**
+ * The maintenance switch, read from data/maintenance.json on first use.
+ * @returns {MaintenanceState} Current state; { on: false } when never set
+ */
+export function getMaintenance() {
+  if (!state) {
+    const stored = readJsonFile(FILE_NAME, null);
+    state = stored?.on === true ? stored : { on: false };
+  }
+  return state;
+}
+
+/**
+ * Whether maintenance mode is on.
+ * @returns {boolean} True while the bot should leave the server alone
+ */
+export function inMaintenance() {
+  return getMaintenance().on;
+}
+
+/**
+ * Turns maintenance mode on or off, keeps it on disk and tells every listener.
+ * @param {MaintenanceState} next - New state
+ * @throws {Error} When the file cannot be written; the state is then unchanged
+ */
+export function setMaintenance(next) {
+  writeJsonFile(FILE_NAME, next);
+  state = next;
+  logger.info(next.on ? `Maintenance mode on (${next.by}${next.reason ? `: ${next.reason}` : ''})` : 'Maintenance mode off');
+  for (const listener of listeners) {
+    // Promise.resolve().then(...) also traps a SYNCHRONOUS throw from the listener.
+    Promise.resolve()
+      .then(() => listener(next))
+      .catch((error) => logger.warn(`Maintenance listener failed: ${sanitizeErrorMessage(error)}`));
+  }
+}
+
+/**
+ * Registers a callback run after every change of the switch - the Discord
+ * presence and the tray tooltip show the mode this way. A failing callback is
+ * logged and never reaches the caller of setMaintenance.
+ * @param {(state: MaintenanceState) => (void|Promise<void>)} listener - Callback
+ */
+export function onMaintenanceChange(listener) {
+  listeners.push(listener);
+}
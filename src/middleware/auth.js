@@ -29,6 +29,16 @@ export function userHasPalserverRole(interaction) {
     || memberHasRole(interaction, config.discord.adminRoleName);
 }
 
+/**
+ * Checks if user has the admin role (default 'palserver-admin'), without replying.
+ * For commands open to base users with an admin-only option.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Discord interaction
+ * @returns {boolean} True if user has the admin role
+ */
+export function userHasAdminRole(interaction) {
+  return Boolean(memberHasRole(interaction, config.discord.adminRoleName));
+}
+
 /**
  * Shared guard body: denies with an ephemeral "you need <roleName>" reply when
  * the caller fails the supplied check
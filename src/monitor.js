@@ -8,6 +8,24 @@
  *     the loop, so they live together to keep each `let` a single-owner binding.
  *   - presence.js owns the Discord presentation half (client handle, status,
  *     announcements) and its own discordClient + lastKnownServerName state.
+ *   - playerpoll.js owns the lighter player-presence poller that runs while the
+ *     server is up, and the batched, throttled join/leave announcements.
+ *   - lagwatch.js owns the per-player ping streaks behind the lag alerts.
+ *   - autosave.js owns the periodic world saves while players are online.
+ *   - crashwatch.js records and announces a DOWN that no action asked for; the
+ *     heartbeat that notices one quickly lives in loop.js with the state it reads.
+ *   - recovery.js owns the relaunch after a crash: its backoff timer and the
+ *     crash-loop count that stops it.
+ *   - watchdog.js owns the wait on a server whose REST API fell silent while its
+ *     process kept running, and the alert (and optional kill) once it is wedged.
+ *   - hours.js owns the operating hours: the clock check that starts the server
+ *     as a window opens and stops it, or counts down to stopping it, as it closes.
+ *   - backups.js owns the timer behind the interval world-save backups.
+ *   - enforcement.js owns allowlist enforcement: kicking players who are not on
+ *     the /palallow list, run on every roster poll and by the start path.
  */
 export { startMonitoring, setServerUp, setServerDown } from './monitor/loop.js';
 export { announceServerEvent } from './monitor/presence.js';
+export { cancelRecovery, resumeRecovery } from './monitor/recovery.js';
+export { enforceAllowlist } from './monitor/enforcement.js';
+export { withinOperatingHours, nextOpening } from './monitor/hours.js';
@@ -0,0 +1,80 @@
+import { getPlayers, saveWorld, announce } from '../palworld.js';
+import { isLocked } from '../lock.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+/** In-game line posted after each periodic save when AUTOSAVE_NOTICE is on. */
+const NOTICE_MESSAGE = 'World saved.';
+
+// Periodic-save state - owned here, mutated only within this module.
+let timerId = null;
+let saveInFlight = false;
+
+/**
+ * Starts the periodic world saves. Called on the transition to UP. A no-op when
+ * AUTOSAVE_INTERVAL_MINUTES is 0 or the timer is already running.
+ */
+export function startAutoSave() {
+  if (!config.autoSave.intervalMinutes || timerId) return;
+
+  timerId = setInterval(() => { void periodicSave(); }, config.autoSave.intervalMinutes * 60000);
+  timerId.unref?.();
+  logger.debug(`Periodic save started (every ${config.autoSave.intervalMinutes} min)`);
+}
+
+/**
+ * Stops the periodic world saves. Called on the transition to DOWN.
+ */
+export function stopAutoSave() {
+  if (timerId) {
+    clearInterval(timerId);
+    timerId = null;
+    logger.debug('Periodic save stopped');
+  }
+}
+
+/**
+ * One periodic save. Only worth doing while someone is online - an empty world
+ * does not change - and skipped while another operation holds the shared lock:
+ * every stop and restart saves on its own, and a save landing in the middle of
+ * one would only muddy its settle window. Deliberately does not take the lock
+ * itself, so it never makes a command fail with "another operation is in
+ * progress". Never throws.
+ * @private
+ */
+async function periodicSave() {
+  if (saveInFlight) return;
+  if (isLocked()) {
+    logger.info('Periodic save skipped: another operation is in progress');
+    return;
+  }
+
+  saveInFlight = true;
+  try {
+    const players = await getPlayers();
+    if (players.length === 0) {
+      logger.debug('Periodic save skipped: nobody online');
+      return;
+    }
+    // Again: the player lookup can take a while, and a stop or restart may have
+    // taken the lock in the meantime.
+    if (isLocked()) {
+      logger.info('Periodic save skipped: another operation is in progress');
+      return;
+    }
+
+    const started = Date.now();
+    await saveWorld();
+    logger.info(`Periodic save completed in ${Date.now() - started}ms (${players.length} player(s) online)`);
+
+    if (config.autoSave.notice) await announce(NOTICE_MESSAGE);
+  } catch (error) {
+    logger.warn(`Periodic save failed: ${sanitizeErrorMessage(error)}`);
+  } finally {
+    saveInFlight = false;
+  }
+}
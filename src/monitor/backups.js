@@ -0,0 +1,59 @@
+import { saveWorld, getMetrics } from '../palworld.js';
+import { backupsEnabled, takeBackup } from '../backup.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { sleep } from '../utils/async.js';
+import { withLock } from '../lock.js';
+import config from '../config/index.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+// Backup-timer state - owned here, mutated only within this module.
+let timerId = null;
+
+/**
+ * Starts the interval backups. Called on the transition to UP, so the first one
+ * lands a full interval after the server came up - the stop that preceded it
+ * already left a backup. A no-op when backups or the interval are off, or the
+ * timer is already running.
+ */
+export function startBackupTimer() {
+  if (!backupsEnabled() || !config.backup.intervalMinutes || timerId) return;
+
+  timerId = setInterval(() => { void intervalBackup(); }, config.backup.intervalMinutes * 60000);
+  timerId.unref?.();
+  logger.debug(`Backup timer started (every ${config.backup.intervalMinutes} min)`);
+}
+
+/**
+ * Stops the interval backups. Called on the transition to DOWN: a stopped server
+ * writes nothing new, and the stop itself took a backup on its way out.
+ */
+export function stopBackupTimer() {
+  if (timerId) {
+    clearInterval(timerId);
+    timerId = null;
+    logger.debug('Backup timer stopped');
+  }
+}
+
+/**
+ * One interval backup: save the world, wait out the settle window, then copy it.
+ * Runs under the shared lock so it can never interleave with a stop or restart,
+ * and is simply skipped when another operation holds the lock - that operation's
+ * own stop, if any, takes a backup anyway. Never throws.
+ * @private
+ */
+async function intervalBackup() {
+  try {
+    await withLock(async () => {
+      await saveWorld();
+      await sleep(config.timing.saveSettleMs);
+      const { uptime } = await getMetrics();
+      await takeBackup('interval', uptime ?? null);
+    });
+  } catch (error) {
+    logger.info(`Interval backup skipped: ${sanitizeErrorMessage(error)}`);
+  }
+}
@@ -0,0 +1,50 @@
+import { recordCrash } from '../crashes.js';
+import { formatUptime, formatCrashReport } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { logPath, readTail } from '../utils/logfiles.js';
+import { announceServerEvent, announceAdminEvent, lastKnownServerName } from './presence.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+/** palserver.log lines kept with each crash. */
+const LOG_TAIL_LINES = 15;
+
+/**
+ * Records and announces a crash: a transition from UP to DOWN that no bot
+ * action asked for. The announce channel gets a short line with the uptime at
+ * death and the last performance sample; the admin channel gets the same plus
+ * the tail of palserver.log, which can name players and addresses and so is
+ * kept out of the public channel. Never throws.
+ * @param {object} context - What the monitor knew when the server was last alive
+ * @param {number} context.lastSeenUpAt - Epoch ms of the last check that found
+ *   it up; 0 when none did
+ * @param {{timestamp: string, uptime: number, fps: number, players: number}|null} context.lastSample -
+ *   The last performance sample of this server lifetime
+ * @returns {Promise<void>}
+ */
+export async function reportCrash({ lastSeenUpAt, lastSample }) {
+  // The sample's uptime plus the time it stayed alive after the sample is the
+  // best estimate of how long it ran: the exact moment of death is unknowable.
+  const uptimeSeconds = lastSample
+    ? Math.round(lastSample.uptime + Math.max(0, lastSeenUpAt - Date.parse(lastSample.timestamp)) / 1000)
+    : null;
+  const crash = {
+    detectedAt: new Date().toISOString(),
+    lastSeenUpAt: lastSeenUpAt ? new Date(lastSeenUpAt).toISOString() : null,
+    uptimeSeconds,
+    lastSample,
+    logTail: readTail(logPath('palserver.log'), LOG_TAIL_LINES)
+  };
+
+  logger.error(`Server went down unexpectedly${uptimeSeconds === null ? '' : ` after ${formatUptime(uptimeSeconds)} up`}`);
+  try {
+    recordCrash(crash);
+  } catch (error) {
+    logger.error(`Crash not recorded: ${sanitizeErrorMessage(error)}`);
+  }
+
+  await announceServerEvent(formatCrashReport(lastKnownServerName, crash, false));
+  await announceAdminEvent(formatCrashReport(lastKnownServerName, crash, true));
+}
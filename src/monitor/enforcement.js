@@ -0,0 +1,70 @@
+import { getPlayers, kickPlayer } from '../palworld.js';
+import { listAllowed } from '../allowlist.js';
+import { playerName, escapeName } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+import { announceAdminEvent } from './presence.js';
+
+// Logger instance for this module
+const logger = createLogger('Allowlist');
+
+// Enforcement state - owned here, mutated only within this module.
+let warnedEmpty = false;
+
+/**
+ * Kicks every player on the roster whose user id is not on the allowlist, and
+ * reports the kicks to the admin channel in one message. Runs on each roster
+ * poll, before anything else sees the roster (playerpoll.screenRoster), and
+ * right after the bot brings the server up (startAndReport).
+ *
+ * A no-op while ALLOWLIST_ENABLED is off, and also while the list is EMPTY: an
+ * empty list with enforcement on is far more likely a fresh setup than a wish to
+ * kick everyone, so that is logged once instead. A roster entry without a user id
+ * cannot be kicked and is left alone. Best-effort: never throws, and one failed
+ * kick does not stop the rest.
+ * @param {Array<object>} [players] - Roster to check; fetched when omitted
+ * @returns {Promise<Array<object>>} The players that were kicked
+ */
+export async function enforceAllowlist(players) {
+  if (!config.allowlist.enabled) return [];
+
+  const allowed = new Set(listAllowed().map(e => e.userId));
+  if (allowed.size === 0) {
+    if (!warnedEmpty) {
+      logger.warn('ALLOWLIST_ENABLED is on but the allowlist is empty - not enforcing. Add players with /palallow add.');
+      warnedEmpty = true;
+    }
+    return [];
+  }
+  warnedEmpty = false;
+
+  let roster = players;
+  if (!roster) {
+    try {
+      roster = await getPlayers();
+    } catch (error) {
+      logger.warn(`Allowlist check skipped: ${sanitizeErrorMessage(error)}`);
+      return [];
+    }
+  }
+
+  const kicked = [];
+  for (const player of roster) {
+    if (!player.userId || allowed.has(player.userId)) continue;
+    try {
+      await kickPlayer(player.userId, config.allowlist.kickMessage);
+      kicked.push(player);
+      logger.info(`Kicked ${playerName(player)} (${player.userId}): not on the allowlist`);
+    } catch (error) {
+      logger.warn(`Could not kick ${player.userId}: ${sanitizeErrorMessage(error)}`);
+    }
+  }
+
+  if (kicked.length > 0) {
+    // Names are attacker-controlled; ids are shown so /palallow add can take one.
+    const lines = kicked.map(p => `• **${escapeName(playerName(p))}** (\`${p.userId}\`)`);
+    await announceAdminEvent(`🚫 Kicked ${kicked.length} player(s) not on the allowlist:\n${lines.join('\n')}`);
+  }
+  return kicked;
+}
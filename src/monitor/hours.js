@@ -0,0 +1,234 @@
+import { isUp, announce } from '../palworld.js';
+import { armClosingCountdown } from '../autorestart.js';
+import { operatingWindows, formatHours } from '../utils/schedule.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { isLocked } from '../lock.js';
+import config from '../config/index.js';
+import { inMaintenance } from '../maintenance.js';
+import { announceAdminEvent, lastKnownServerName } from './presence.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+/**
+ * How often the clock is checked against the opening hours. A minute late is
+ * close enough for an opening or a polite closing; the closing countdown is
+ * armed from this check too, but its own timers are exact.
+ */
+const TICK_MS = 60000;
+
+// Operating-hours state - owned here, mutated only within this module.
+let hoursActions = null;
+let timerId = null;
+let ticking = false;
+let inside = null;
+let closesAt = 0;
+let openPending = false;
+let closePending = false;
+let countdownFor = 0;
+let playersTold = false;
+
+/**
+ * Whether operating hours are configured (OPERATING_HOURS).
+ * @returns {boolean} True when the server keeps opening hours
+ */
+export function hoursEnabled() {
+  return Boolean(config.operatingHours.hours);
+}
+
+/**
+ * Whether an instant falls inside the opening hours. Always true when none are
+ * configured.
+ * @param {number} [atMs] - Instant to check; defaults to now
+ * @returns {boolean} True when the server is meant to be open
+ */
+export function withinOperatingHours(atMs = Date.now()) {
+  return !hoursEnabled() || Boolean(currentWindow(atMs));
+}
+
+/**
+ * When the server next opens, for the /palstart refusal.
+ * @param {number} [fromMs] - Instant to look from; defaults to now
+ * @returns {number|null} Epoch ms of the next opening; null when no hours are
+ *   configured, or none open in the coming week
+ */
+export function nextOpening(fromMs = Date.now()) {
+  if (!hoursEnabled()) return null;
+  return windowsAround(fromMs).find(w => w.opensAt > fromMs)?.opensAt ?? null;
+}
+
+/**
+ * Starts keeping the opening hours: the server is started as each window opens
+ * and stopped as it closes - once it is empty, or, with OPERATING_CLOSE_COUNTDOWN,
+ * at the end of a warning countdown that runs up to closing time. Only openings
+ * and closings that happen while the bot runs are acted on: a bot started
+ * mid-window does not start the server, nor one started after hours stop it.
+ * A no-op when no hours are configured or it is already running.
+ * @param {{ open: () => Promise<{success: boolean, message: string}>,
+ *   close: (options: {force: boolean}) => Promise<{success: boolean, message: string}> }|null} actions -
+ *   actions.doOpeningStart and actions.doClosingStop, injected rather than
+ *   imported because actions.js already imports monitor.js
+ */
+export function startOperatingHours(actions) {
+  if (!hoursEnabled() || !actions || timerId) return;
+
+  hoursActions = actions;
+  timerId = setInterval(() => { void tick(); }, TICK_MS);
+  timerId.unref?.();
+  logger.info(`Keeping operating hours: ${formatHours(config.operatingHours.hours)} (${config.operatingHours.timeZone})`);
+  void tick();
+}
+
+/**
+ * The opening-hours windows around an instant, as operatingWindows gives them.
+ * @param {number} atMs - Instant
+ * @returns {{opensAt: number, closesAt: number}[]} Windows, earliest first
+ * @private
+ */
+function windowsAround(atMs) {
+  return operatingWindows(config.operatingHours.hours, config.operatingHours.timeZone, atMs);
+}
+
+/**
+ * The window an instant falls in, if any.
+ * @param {number} atMs - Instant
+ * @returns {{opensAt: number, closesAt: number}|null} The window, or null after hours
+ * @private
+ */
+function currentWindow(atMs) {
+  return windowsAround(atMs).find(w => w.opensAt <= atMs && atMs < w.closesAt) ?? null;
+}
+
+/**
+ * One check of the clock. Notices an opening or a closing since the last one,
+ * and carries out whatever is still to do about it. Skips while the previous
+ * check is still running. Never throws.
+ * @private
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const current = currentWindow(now);
+
+    if (inside === null) {
+      inside = Boolean(current);
+    } else if (current && !inside) {
+      inside = true;
+      openPending = true;
+      closePending = false;
+      playersTold = false;
+      logger.info('Opening time');
+    } else if (!current && inside) {
+      inside = false;
+      openPending = false;
+      // A countdown armed for this closing already stops the server - or was
+      // cancelled by an admin, who wants it left up.
+      closePending = countdownFor !== closesAt;
+      logger.info('Closing time');
+    }
+    if (current) closesAt = current.closesAt;
+
+    // Maintenance mode leaves the server as the admins have it: an opening or a
+    // closing that falls during it is dropped, not saved up for afterwards.
+    if (inMaintenance()) {
+      openPending = false;
+      closePending = false;
+      return;
+    }
+
+    if (openPending) await open();
+    if (closePending) await close();
+    if (current && config.operatingHours.closeCountdown) await armCountdown(now);
+  } catch (error) {
+    logger.error(`Operating-hours check failed: ${sanitizeErrorMessage(error)}`);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Starts the server for the window just opened. Stands aside while another
+ * operation holds the lock and tries again at the next check; a start that
+ * fails is not retried, but the admins hear about it.
+ * @private
+ */
+async function open() {
+  if (isLocked()) return;
+  openPending = false;
+
+  const result = await hoursActions.open();
+  if (result.success) {
+    logger.info(`Opening-time start: ${result.message}`);
+    return;
+  }
+  logger.warn(`Opening-time start failed: ${result.message}`);
+  await announceAdminEvent(`⚠️ **${lastKnownServerName}** could not be started at opening time: ${result.message}`);
+}
+
+/**
+ * Stops the server after closing time, when no countdown did. The polite stop
+ * refuses while players are online, so it is asked again at every check until
+ * the server is empty - the players are told once why it is still up. With
+ * OPERATING_CLOSE_COUNTDOWN, a closing that went by without its countdown (the
+ * server was busy, or another countdown was running) gets a full one now.
+ * @private
+ */
+async function close() {
+  if (isLocked()) return;
+  if (!(await isUp())) {
+    closePending = false;
+    return;
+  }
+
+  if (config.operatingHours.closeCountdown) {
+    if (armClosingCountdown(config.autoRestart.warnings[0], stopNow)) {
+      closePending = false;
+      countdownFor = closesAt;
+    }
+    return;
+  }
+
+  const result = await hoursActions.close({ force: false });
+  if (result.success) {
+    closePending = false;
+    return;
+  }
+  logger.info(`Closing-time stop postponed: ${result.message}`);
+  if (playersTold) return;
+  playersTold = true;
+  try {
+    await announce('The server is closed now and will shut down once everyone has left.');
+  } catch (error) {
+    logger.warn(`Could not tell players about the closing: ${sanitizeErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Arms the closing countdown once closing time is within the warnings plus one
+ * check, so its first warning still fires on time. Tried at every check until it
+ * arms: another countdown may be running, and the server may not be up yet.
+ * @param {number} now - Epoch ms of this check
+ * @private
+ */
+async function armCountdown(now) {
+  if (countdownFor === closesAt) return;
+  const seconds = Math.round((closesAt - now) / 1000);
+  if (seconds > config.autoRestart.warnings[0] + TICK_MS / 1000) return;
+  if (!(await isUp())) return;
+  if (armClosingCountdown(seconds, stopNow)) countdownFor = closesAt;
+}
+
+/**
+ * The end of a closing countdown: stops the server, players or not. A stop that
+ * fails is tried again from the next check, with a fresh countdown.
+ * @returns {Promise<{success: boolean, message: string}>}
+ * @private
+ */
+async function stopNow() {
+  const result = await hoursActions.close({ force: true });
+  if (!result.success) closePending = true;
+  return result;
+}
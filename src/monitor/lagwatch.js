@@ -0,0 +1,77 @@
+import { playerKey } from '../sessions.js';
+import { playerName, escapeName } from '../embeds.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+import { announceAdminEvent } from './presence.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+// Lag state - owned here, mutated only within this module.
+// userId -> { streak, alerted }
+const lagging = new Map();
+
+/**
+ * Checks one roster's pings against LAG_ALERT_PING_MS. A player whose ping stays
+ * above it for LAG_ALERT_SAMPLES polls in a row is reported to the admin channel
+ * once; they can be reported again only after a sample back under the threshold.
+ * Expects rosters from a single poll cadence, so a streak spans a predictable
+ * time (see playerpoll.observeRoster).
+ *
+ * When at least two players and half the roster are lagging in the same poll the
+ * report says so: many connections going bad at once points at the server or its
+ * uplink, one points at that player's own connection. A no-op while
+ * LAG_ALERT_PING_MS is 0. Never throws.
+ * @param {Array<object>} players - The full /players roster from one poll
+ */
+export function checkPings(players) {
+  const threshold = config.monitoring.lagAlertPingMs;
+  if (!threshold) return;
+
+  const present = new Set();
+  const newlyLagging = [];
+  let laggingNow = 0;
+
+  for (const player of players) {
+    const key = playerKey(player);
+    if (!key || !Number.isFinite(player.ping)) continue;
+    present.add(key);
+
+    if (player.ping <= threshold) {
+      lagging.delete(key);
+      continue;
+    }
+
+    laggingNow++;
+    const state = lagging.get(key) ?? { streak: 0, alerted: false };
+    state.streak++;
+    if (!state.alerted && state.streak >= config.monitoring.lagAlertSamples) {
+      state.alerted = true;
+      newlyLagging.push(player);
+    }
+    lagging.set(key, state);
+  }
+
+  // A player who left takes their streak with them.
+  for (const key of lagging.keys()) {
+    if (!present.has(key)) lagging.delete(key);
+  }
+
+  if (newlyLagging.length === 0) return;
+
+  const serverWide = laggingNow >= 2 && laggingNow * 2 >= present.size;
+  const lines = newlyLagging.map(p => `• **${escapeName(playerName(p))}** — ${Math.round(p.ping)} ms`);
+  const heading = serverWide
+    ? `📶 ${laggingNow} of ${present.size} players are above ${threshold} ms ping — likely a server-side problem:`
+    : `📶 Ping above ${threshold} ms for ${config.monitoring.lagAlertSamples} samples in a row:`;
+  logger.info(`Lag alert: ${newlyLagging.map(p => `${playerName(p)} ${Math.round(p.ping)}ms`).join(', ')}`);
+  void announceAdminEvent(`${heading}\n${lines.join('\n')}`);
+}
+
+/**
+ * Forgets every lag streak. Called on the transition to DOWN, so a streak never
+ * carries over into the next server instance.
+ */
+export function resetPingStreaks() {
+  lagging.clear();
+}
@@ -1,12 +1,25 @@
 import { isUp, getPlayers, getMetrics } from '../palworld.js';
+import { isServerProcessRunning } from '../servercontrol.js';
 import { armRestartCountdown, cancelRestartCountdown } from '../autorestart.js';
 import { recordSample } from '../perflog.js';
+import { reapplyBans } from '../banlist.js';
+import { closeAllSessions } from '../sessions.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
 import { createLogger } from '../utils/logger.js';
 import { logPath, rolloverIfLarge, MAX_LOG_BYTES } from '../utils/logfiles.js';
 import { withLock } from '../lock.js';
 import config from '../config/index.js';
 import { updateDiscordStatus, announceServerEvent, setDiscordClient, lastKnownServerName } from './presence.js';
+import { screenRoster, startPlayerPoll, stopPlayerPoll } from './playerpoll.js';
+import { resetPingStreaks } from './lagwatch.js';
+import { startBackupTimer, stopBackupTimer } from './backups.js';
+import { startAutoSave, stopAutoSave } from './autosave.js';
+import { reportCrash } from './crashwatch.js';
+import { setRecoveryAction, recoverFromCrash, cancelRecovery } from './recovery.js';
+import { watchdogEnabled, watchSilentServer, stopWatchdog, setRespondingAction } from './watchdog.js';
+import { startOperatingHours } from './hours.js';
+import { stopWasExpected, clearStopIntent } from '../actions/intent.js';
+import { inMaintenance, getMaintenance, onMaintenanceChange } from '../maintenance.js';
 
 // Server state constants
 export const SERVER_STATE = {
@@ -15,12 +28,26 @@ export const SERVER_STATE = {
   KNOWN_DOWN: 'KNOWN_DOWN'  // Bot knows server is stopped
 };
 
+/**
+ * Consecutive failed heartbeats before the server is declared down. One missed
+ * probe can be a REST hiccup; two in a row, HEARTBEAT_INTERVAL_MS apart, is not.
+ */
+const HEARTBEAT_MISSES = 2;
+
 // Monitoring state
 let consecutiveEmptyChecks = 0;
 let monitoringActive = false;
 let intervalId = null;
 export let serverState = SERVER_STATE.UNKNOWN;
 
+// Liveness state for crash detection: the last moment a check found the server
+// up, and the last performance sample of this server lifetime.
+let heartbeatId = null;
+let heartbeatInFlight = false;
+let missedHeartbeats = 0;
+let lastSeenUpAt = 0;
+let lastSample = null;
+
 // Logger instance for this module
 const logger = createLogger('Monitor');
 
@@ -32,8 +59,22 @@ async function handleServerUp() {
   if (serverState !== SERVER_STATE.KNOWN_UP) {
     serverState = SERVER_STATE.KNOWN_UP;
     consecutiveEmptyChecks = 0;
+    // A new server lifetime: whatever stop was intended is over, and the
+    // previous lifetime's sample says nothing about this one.
+    clearStopIntent();
+    lastSeenUpAt = Date.now();
+    lastSample = null;
+    cancelRecovery('server is up');
+    stopWatchdog();
     logger.info('Monitoring Started');
     await updateDiscordStatus();
+    // The server's own ban list does not survive a wipe or reinstall, so every
+    // transition to UP pushes the bot's ledger back in. Best-effort, never throws.
+    await reapplyBans();
+    startPlayerPoll();
+    startHeartbeat();
+    startAutoSave();
+    startBackupTimer();
   }
 }
 
@@ -50,10 +91,98 @@ async function handleServerDown() {
     // went away - keeping it would restart a stopped server, or fire its
     // warnings and restart against whatever gets started next.
     cancelRestartCountdown('server is down');
+    stopPlayerPoll();
+    stopHeartbeat();
+    stopAutoSave();
+    stopBackupTimer();
+    resetPingStreaks();
+    // Everyone still online left with the server; close their sessions at this
+    // transition rather than leaving them open until the next time it is up.
+    closeAllSessions();
     await updateDiscordStatus();
   }
 }
 
+/**
+ * Handles the monitor's OWN discovery that the server is down - a poll or a
+ * heartbeat that found it silent - as opposed to an action reporting a stop it
+ * made through setServerDown. A fall from KNOWN_UP that no action announced
+ * beforehand (see actions/intent.js) is a crash: it is recorded and announced,
+ * then handed to crash recovery, which may relaunch the server.
+ * The crash decision and the state change happen with no await between them, so
+ * a poll and a heartbeat noticing together report it once.
+ *
+ * A silent REST API with the process still running is not yet a crash, though:
+ * the watchdog (watchdog.js) takes it from there, and decides in time whether the
+ * server recovered, died or is wedged.
+ */
+async function noticeServerDown() {
+  const crashed = serverState === SERVER_STATE.KNOWN_UP && !stopWasExpected();
+  const context = { lastSeenUpAt, lastSample };
+  await handleServerDown();
+  clearStopIntent();
+  if (watchdogEnabled() && await isServerProcessRunning()) {
+    watchSilentServer(crashed ? context : null);
+    return;
+  }
+  if (crashed) {
+    await reportCrash(context);
+    // Mid-maintenance the server may well be down on purpose, and a relaunch
+    // would start it under the admins' feet.
+    if (inMaintenance()) logger.info('Maintenance mode: crash recovery suspended');
+    else await recoverFromCrash();
+  }
+}
+
+/**
+ * Starts the heartbeat: a bare REST probe, far more frequent than the monitor
+ * poll, so a crash is noticed within a minute rather than up to a whole
+ * MONITOR_INTERVAL_MS later. Called on the transition to UP. A no-op when
+ * HEARTBEAT_INTERVAL_MS is 0 or it is already running.
+ */
+function startHeartbeat() {
+  if (!config.monitoring.heartbeatIntervalMs || heartbeatId) return;
+
+  missedHeartbeats = 0;
+  heartbeatId = setInterval(() => { void heartbeat(); }, config.monitoring.heartbeatIntervalMs);
+  heartbeatId.unref?.();
+}
+
+/**
+ * Stops the heartbeat. Called on the transition to DOWN.
+ */
+function stopHeartbeat() {
+  if (heartbeatId) {
+    clearInterval(heartbeatId);
+    heartbeatId = null;
+  }
+}
+
+/**
+ * One heartbeat probe. HEARTBEAT_MISSES failures in a row count as the server
+ * going down. Skips while the previous probe is still waiting. Never throws.
+ * @private
+ */
+async function heartbeat() {
+  if (heartbeatInFlight || serverState !== SERVER_STATE.KNOWN_UP) return;
+  heartbeatInFlight = true;
+  try {
+    if (await isUp()) {
+      lastSeenUpAt = Date.now();
+      missedHeartbeats = 0;
+      return;
+    }
+    missedHeartbeats++;
+    logger.debug(`Heartbeat missed (${missedHeartbeats}/${HEARTBEAT_MISSES})`);
+    if (missedHeartbeats >= HEARTBEAT_MISSES && serverState === SERVER_STATE.KNOWN_UP) {
+      logger.info('Server is DOWN (heartbeat), updating state to KNOWN_DOWN');
+      await noticeServerDown();
+    }
+  } finally {
+    heartbeatInFlight = false;
+  }
+}
+
 /**
  * Starts the background server monitoring system
  * @param {Function} gracefulShutdownFn - Function to call for graceful shutdown
@@ -62,9 +191,20 @@ async function handleServerDown() {
  *   (actions.doScheduledRestart). Injected rather than imported for the same
  *   reason as gracefulShutdownFn: actions.js imports this module, so importing
  *   it here would close a cycle. Omitting it disables the auto-restart arming.
+ * @param {Function} performRecoveryFn - Optional crash-relaunch action
+ *   (actions.doRecover), injected for the same reason. Omitting it disables
+ *   crash recovery.
+ * @param {{open: Function, close: Function}} hoursActions - Optional opening and
+ *   closing actions (actions.doOpeningStart, actions.doClosingStop), injected for
+ *   the same reason. Omitting them disables operating hours.
+ *
+ * While maintenance mode is on (maintenance.js) the monitor still watches, but
+ * auto-stop, auto-restart and crash recovery all stand aside.
  */
-export async function startMonitoring(gracefulShutdownFn, client = null, performRestartFn = null) {
+export async function startMonitoring(gracefulShutdownFn, client = null, performRestartFn = null, performRecoveryFn = null, hoursActions = null) {
   setDiscordClient(client);
+  setRecoveryAction(performRecoveryFn);
+  setRespondingAction(setServerUp);
   if (monitoringActive) {
     logger.info('Already active, skipping start');
     return;
@@ -73,6 +213,13 @@ export async function startMonitoring(gracefulShutdownFn, client = null, perform
   monitoringActive = true;
   consecutiveEmptyChecks = 0;
 
+  // The presence shows maintenance mode, so it follows every switch of it.
+  onMaintenanceChange(() => updateDiscordStatus());
+  if (inMaintenance()) {
+    const { by, since } = getMaintenance();
+    logger.info(`Maintenance mode is on (since ${since ?? 'unknown'}, by ${by ?? 'unknown'}); auto-stop, auto-restart and crash recovery are suspended`);
+  }
+
   // Perform immediate server status check (not full monitoring)
   try {
     const serverUp = await isUp();
@@ -82,6 +229,9 @@ export async function startMonitoring(gracefulShutdownFn, client = null, perform
     } else {
       logger.info('Server is KNOWN_DOWN');
       await handleServerDown();
+      // Already silent before the bot was here, so it is watched but, should
+      // it exit, not reported as a crash - nobody saw it up.
+      if (watchdogEnabled() && await isServerProcessRunning()) watchSilentServer(null);
     }
   } catch {
     // If check fails, leave state as UNKNOWN and let first interval handle it
@@ -91,6 +241,8 @@ export async function startMonitoring(gracefulShutdownFn, client = null, perform
   intervalId = setInterval(async () => {
     await performMonitorCheck(gracefulShutdownFn, performRestartFn);
   }, config.monitoring.intervalMs);
+
+  startOperatingHours(hoursActions);
 }
 
 /**
@@ -125,10 +277,11 @@ async function performMonitorCheck(gracefulShutdownFn, performRestartFn = null)
       // Server is down, update state and reset counter
       if (serverState !== SERVER_STATE.KNOWN_DOWN) {
         logger.info('Server is DOWN, updating state to KNOWN_DOWN');
-        await handleServerDown();
+        await noticeServerDown();
       }
       return;
     }
+    lastSeenUpAt = Date.now();
 
     logger.debug('Server is UP, checking player count');
     // Update server state if needed
@@ -141,7 +294,8 @@ async function performMonitorCheck(gracefulShutdownFn, performRestartFn = null)
     //   1. the FPS sample log, always - uptime, FPS and player count have to come
     //      from the same response or the correlation the log exists for is lost;
     //   2. scheduled auto-restart, when enabled and the action was injected. This
-    //      poll only DETECTS that uptime has entered the restart window;
+    //      poll only DETECTS that uptime, or the clock schedule, has entered the
+    //      restart window;
     //      autorestart.js then arms precise one-shot timers for the in-game
     //      countdown.
     // Isolated in its own try/catch so a /metrics hiccup costs nothing more than
@@ -150,18 +304,28 @@ async function performMonitorCheck(gracefulShutdownFn, performRestartFn = null)
     try {
       const metrics = await getMetrics();
       recordSample({ uptime: metrics.uptime, fps: metrics.serverfps, players: metrics.currentplayernum });
-      if (config.autoRestart.enabled && performRestartFn) {
+      // Kept for the crash report, should this lifetime end unexpectedly.
+      lastSample = { timestamp: new Date().toISOString(), uptime: metrics.uptime, fps: metrics.serverfps, players: metrics.currentplayernum };
+      if (config.autoRestart.enabled && performRestartFn && !inMaintenance()) {
         armRestartCountdown(metrics.uptime || 0, performRestartFn);
       }
     } catch (error) {
       logger.warn(`Metrics check skipped: ${sanitizeErrorMessage(error)}`);
     }
 
-    // Server is up, check player count
-    const players = await getPlayers();
-    const playerCount = players.length;
+    // Server is up, check player count. The roster is checked against the
+    // allowlist and then feeds the session log and the join/leave announcements,
+    // through the same entry point the faster player-presence poll uses, so a
+    // change is handled once by whichever saw it. Anyone kicked does not count as
+    // online, so a server emptied of intruders still heads toward auto-stop.
+    const playerCount = (await screenRoster(await getPlayers())).length;
 
-    if (playerCount === 0) {
+    if (playerCount === 0 && inMaintenance()) {
+      // Admins at work may well want the server up and empty: no auto-stop, and
+      // no count toward one carried over to after maintenance.
+      consecutiveEmptyChecks = 0;
+      logger.debug('Maintenance mode: auto-stop suspended');
+    } else if (playerCount === 0) {
       // No players online
       consecutiveEmptyChecks++;
 
@@ -0,0 +1,188 @@
+import { getPlayers } from '../palworld.js';
+import { recordPlayers } from '../sessions.js';
+import { verifyLinkCodes } from '../links.js';
+import { recordLevels } from '../levels.js';
+import { escapeName } from '../embeds.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import config from '../config/index.js';
+import { announceServerEvent, sendDirectMessage } from './presence.js';
+import { checkPings } from './lagwatch.js';
+import { enforceAllowlist } from './enforcement.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+/**
+ * Minimum gap between two join/leave posts. Discord rate-limits a channel at
+ * five messages per five seconds and the other announcements share it, so join
+ * and leave lines are held back and coalesced rather than posted one by one.
+ */
+const ANNOUNCE_MIN_GAP_MS = 15000;
+
+/** Most names spelled out per line before the rest collapse into "and N others". */
+const MAX_NAMES_PER_LINE = 10;
+
+// Player-presence state - owned here, mutated only within this module.
+let pollId = null;
+let pollInFlight = false;
+let pendingJoins = [];
+let pendingLeaves = [];
+let flushTimer = null;
+let lastPostAt = 0;
+
+/**
+ * Checks one roster against the allowlist, then observes what is left of it. The
+ * single entry point for every /players poll - this module's own and the
+ * monitor's - so a change is recorded and announced exactly once, by whichever
+ * poll noticed it first. The allowlist goes first: a stranger about to be kicked
+ * must not be announced as joining, nor get a session or playtime.
+ * @param {Array<object>} players - The full /players roster from one poll
+ * @param {{ playerPoll?: boolean }} [options] - playerPoll marks this module's
+ *   own poll, which takes over ping sampling while it runs (see observeRoster)
+ * @returns {Promise<Array<object>>} The players still online - the roster minus
+ *   anyone just kicked
+ */
+export async function screenRoster(players, { playerPoll = false } = {}) {
+  const kicked = await enforceAllowlist(players);
+  const admitted = kicked.length ? players.filter(p => !kicked.includes(p)) : players;
+  observeRoster(admitted, playerPoll);
+  return admitted;
+}
+
+/**
+ * Feeds one roster into the session log and the level history, queues its joins
+ * and leaves for announcement, announces level milestones, checks it for pending
+ * /pallink codes and samples its pings for lag alerts. Reached through
+ * screenRoster, once the allowlist has had its say.
+ *
+ * Pings are sampled on ONE cadence, since LAG_ALERT_SAMPLES counts samples: the
+ * player poll's while it runs, the monitor poll's otherwise. Sampling both would
+ * let a monitor poll landing between two player polls cut a streak short.
+ * @param {Array<object>} players - The roster from one poll, minus anyone kicked
+ * @param {boolean} playerPoll - Whether the roster came from the player poll
+ * @private
+ */
+function observeRoster(players, playerPoll) {
+  for (const link of verifyLinkCodes(players)) {
+    void sendDirectMessage(link.discordUserId,
+      `✅ Your Discord account is now linked to **${escapeName(link.playerName)}**. You can change your in-game name back.`);
+  }
+
+  const { joined, left } = recordPlayers(players);
+  if (playerPoll || !pollId) checkPings(players);
+
+  // Level-ups are rare, so they skip the join/leave queue and post straight away,
+  // one line per player, all in one message.
+  const milestones = recordLevels(players, config.levels.milestones);
+  if (config.levels.milestoneAnnouncements && milestones.length) {
+    void announceServerEvent(milestones.map(m => `🎉 **${escapeName(m.name)}** reached level ${m.level}!`).join('\n'));
+  }
+  if (!config.monitoring.joinLeaveAnnouncements || (joined.length === 0 && left.length === 0)) return;
+
+  pendingJoins.push(...joined.map(s => s.name));
+  pendingLeaves.push(...left.map(s => s.name));
+  scheduleFlush();
+}
+
+/**
+ * Starts the player-presence poller. Called on the transition to UP; the monitor
+ * poll is far too coarse for "X joined" lines, so this polls /players alone on
+ * its own shorter cadence. A no-op when join/leave announcements are off or the
+ * poller is already running.
+ */
+export function startPlayerPoll() {
+  if (!config.monitoring.joinLeaveAnnouncements || pollId) return;
+
+  pollId = setInterval(() => { void pollPlayers(); }, config.monitoring.playerPollIntervalMs);
+  pollId.unref?.();
+  logger.debug(`Player poll started (every ${Math.round(config.monitoring.playerPollIntervalMs / 1000)}s)`);
+}
+
+/**
+ * Stops the player-presence poller and drops any queued lines. Called on the
+ * transition to DOWN: everyone left with the server, and the down announcement
+ * already says so.
+ */
+export function stopPlayerPoll() {
+  if (pollId) {
+    clearInterval(pollId);
+    pollId = null;
+    logger.debug('Player poll stopped');
+  }
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  pendingJoins = [];
+  pendingLeaves = [];
+}
+
+/**
+ * One presence poll. Skips when the previous one is still waiting on the REST
+ * API, and treats a failed request as "no information" - deciding the server is
+ * DOWN is the monitor's job, not this poller's. Never throws.
+ * @private
+ */
+async function pollPlayers() {
+  if (pollInFlight) return;
+  pollInFlight = true;
+  try {
+    await screenRoster(await getPlayers(), { playerPoll: true });
+  } catch (error) {
+    logger.debug(`Player poll skipped: ${sanitizeErrorMessage(error)}`);
+  } finally {
+    pollInFlight = false;
+  }
+}
+
+/**
+ * Posts the queued lines now, or arms a single timer for when the gap since the
+ * last post has elapsed. Everything queued in the meantime rides along in that
+ * one post, which is what batches a group joining together.
+ * @private
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+  const waitMs = Math.max(0, lastPostAt + ANNOUNCE_MIN_GAP_MS - Date.now());
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    void flushAnnouncements();
+  }, waitMs);
+  flushTimer.unref?.();
+}
+
+/**
+ * Renders a list of names as "A, B and C", collapsing past MAX_NAMES_PER_LINE.
+ * Names are attacker-controlled, so each is escaped.
+ * @param {string[]} names - Raw player names
+ * @returns {string} Markdown-safe list
+ * @private
+ */
+function formatNames(names) {
+  const shown = names.slice(0, MAX_NAMES_PER_LINE).map(n => `**${escapeName(n)}**`);
+  const hidden = names.length - shown.length;
+  if (hidden > 0) return `${shown.join(', ')} and ${hidden} other${hidden === 1 ? '' : 's'}`;
+  if (shown.length === 1) return shown[0];
+  return `${shown.slice(0, -1).join(', ')} and ${shown[shown.length - 1]}`;
+}
+
+/**
+ * Posts every queued join and leave as one message. Best-effort:
+ * announceServerEvent never throws.
+ * @private
+ */
+async function flushAnnouncements() {
+  const joins = pendingJoins;
+  const leaves = pendingLeaves;
+  pendingJoins = [];
+  pendingLeaves = [];
+  if (joins.length === 0 && leaves.length === 0) return;
+
+  const parts = [];
+  if (joins.length) parts.push(`👋 ${formatNames(joins)} joined`);
+  if (leaves.length) parts.push(`${formatNames(leaves)} left`);
+
+  lastPostAt = Date.now();
+  await announceServerEvent(parts.join(' · '));
+}
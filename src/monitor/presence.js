@@ -2,6 +2,7 @@ import { getInfo } from '../palworld.js';
 import { sanitizeErrorMessage } from '../utils/security.js';
 import { createLogger } from '../utils/logger.js';
 import config from '../config/index.js';
+import { inMaintenance } from '../maintenance.js';
 import { ActivityType } from 'discord.js';
 import { serverState, SERVER_STATE } from './loop.js';
 
@@ -23,7 +24,8 @@ export function setDiscordClient(client) {
 }
 
 /**
- * Updates the Discord bot's status based on server state
+ * Updates the Discord bot's status based on server state, and on maintenance
+ * mode while it is on
  * @private
  */
 export async function updateDiscordStatus() {
@@ -50,7 +52,7 @@ export async function updateDiscordStatus() {
     // When server is down, we use the last known server name
 
     const status = serverState === SERVER_STATE.KNOWN_UP ? 'UP' : 'DOWN';
-    const activityName = `${serverName} is ${status}`;
+    const activityName = `${serverName} is ${status}${inMaintenance() ? ' · Maintenance' : ''}`;
 
     await discordClient.user.setActivity(activityName, {
       type: ActivityType.Custom
@@ -70,7 +72,28 @@ export async function updateDiscordStatus() {
  * @param {string} message - Message to post to the channel
  */
 export async function announceServerEvent(message) {
-  if (!config.discord.announceChannelId) {
+  await postToChannel(config.discord.announceChannelId, 'Announce', message);
+}
+
+/**
+ * Sends a message to the configured admin channel: things only the server's
+ * admins need to see, such as allowlist kicks. Best-effort like
+ * announceServerEvent, and silently disabled when ADMIN_CHANNEL_ID is unset.
+ * @param {string} message - Message to post to the channel
+ */
+export async function announceAdminEvent(message) {
+  await postToChannel(config.discord.adminChannelId, 'Admin', message);
+}
+
+/**
+ * Posts to one text channel by id. Never throws.
+ * @param {string|null} channelId - Target channel; falsy disables the post
+ * @param {string} label - Channel role for the log lines ('Announce', 'Admin')
+ * @param {string} message - Message to post
+ * @private
+ */
+async function postToChannel(channelId, label, message) {
+  if (!channelId) {
     return;
   }
 
@@ -80,14 +103,36 @@ export async function announceServerEvent(message) {
   }
 
   try {
-    const channel = await discordClient.channels.fetch(config.discord.announceChannelId);
+    const channel = await discordClient.channels.fetch(channelId);
     if (!channel?.isTextBased?.()) {
-      logger.warn(`Announce channel not found or not text-based: ${config.discord.announceChannelId}`);
+      logger.warn(`${label} channel not found or not text-based: ${channelId}`);
       return;
     }
     await channel.send(message);
   } catch (error) {
     const sanitizedMessage = sanitizeErrorMessage(error);
-    logger.warn(`Failed to send announcement: ${sanitizedMessage}`);
+    logger.warn(`Failed to send ${label.toLowerCase()} message: ${sanitizedMessage}`);
+  }
+}
+
+/**
+ * Sends a direct message to one Discord user, for news that concerns only them.
+ * Best-effort like announceServerEvent: a member with DMs closed simply does not
+ * get it, and that is logged rather than thrown.
+ * @param {string} discordUserId - Discord user snowflake
+ * @param {string} message - Message to send
+ */
+export async function sendDirectMessage(discordUserId, message) {
+  if (!discordClient) {
+    logger.debug('Discord client not available, skipping direct message');
+    return;
+  }
+
+  try {
+    const user = await discordClient.users.fetch(discordUserId);
+    await user.send(message);
+  } catch (error) {
+    const sanitizedMessage = sanitizeErrorMessage(error);
+    logger.warn(`Failed to send direct message: ${sanitizedMessage}`);
   }
 }
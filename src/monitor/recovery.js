@@ -0,0 +1,150 @@
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { isLocked } from '../lock.js';
+import config from '../config/index.js';
+import { announceAdminEvent, lastKnownServerName } from './presence.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+// Crash-recovery state - owned here, mutated only within this module.
+let recoverAction = null;
+let timerId = null;
+let halted = false;
+let crashTimes = [];
+
+/**
+ * Registers the relaunch action (actions.doRecover). Called by startMonitoring;
+ * injected rather than imported because actions.js already imports monitor.js.
+ * Without one, crash recovery stays off.
+ * @param {(() => Promise<{success: boolean, message: string}>)|null} fn - Relaunch action
+ */
+export function setRecoveryAction(fn) {
+  recoverAction = fn;
+}
+
+/**
+ * Responds to a crash crashwatch.js has just reported: schedules a relaunch
+ * after the backoff delay, or - when this crash makes RECOVERY_CRASH_LIMIT
+ * inside the window - stops relaunching and tells the admins. A no-op when
+ * recovery is off or already stopped. Never throws.
+ * @returns {Promise<void>}
+ */
+export async function recoverFromCrash() {
+  if (!config.recovery.enabled || !recoverAction || halted) return;
+  await countFailure();
+}
+
+/**
+ * Responds to the watchdog having killed a wedged server (see watchdog.js):
+ * relaunches it exactly as after a crash, and counts it toward the same crash
+ * loop. Runs even with AUTO_RECOVERY_ENABLED off - WEDGED_RESTART asking for the
+ * kill is asking for the start that goes with it. Never throws.
+ * @returns {Promise<boolean>} True when a relaunch was scheduled; false when
+ *   recovery is stopped, or this wedge was the one that made a crash loop
+ */
+export async function recoverFromWedge() {
+  if (!recoverAction || halted) return false;
+  return countFailure();
+}
+
+/**
+ * Drops a pending relaunch without touching the crash count. Called when the
+ * server comes up by any other route, and when someone stops it on purpose -
+ * an explicit stop must not be undone by a relaunch armed before it.
+ * @param {string} reason - Why, for the log
+ */
+export function cancelRecovery(reason) {
+  if (!timerId) return;
+  clearTimeout(timerId);
+  timerId = null;
+  logger.info(`Pending relaunch cancelled: ${reason}`);
+}
+
+/**
+ * Turns recovery back on after a crash loop stopped it, and forgets the crashes
+ * that got it there. Called by a manual doStart (/palstart, the tray): an operator
+ * starting the server by hand is the acknowledgement the crash-loop alert asks for.
+ */
+export function resumeRecovery() {
+  crashTimes = [];
+  if (!halted) return;
+  halted = false;
+  logger.info('Crash recovery re-enabled by a manual start');
+}
+
+/**
+ * Counts one crash, or one relaunch that did not bring the server up, and acts
+ * on the new total: a crash loop stops recovery, anything less schedules the
+ * next relaunch. Each failure in the window doubles the wait before it.
+ * @returns {Promise<boolean>} True when a relaunch was scheduled
+ * @private
+ */
+async function countFailure() {
+  const now = Date.now();
+  const windowMs = config.recovery.crashWindowMinutes * 60000;
+  crashTimes = crashTimes.filter(at => now - at < windowMs);
+  crashTimes.push(now);
+
+  if (crashTimes.length >= config.recovery.crashLimit) {
+    halted = true;
+    cancelRecovery('crash loop');
+    logger.error(`Crash loop: ${crashTimes.length} crashes in ${config.recovery.crashWindowMinutes} min, auto-recovery stopped`);
+    await announceAdminEvent(
+      `🧯 **${lastKnownServerName}** crashed ${crashTimes.length} times in ${config.recovery.crashWindowMinutes} minutes, `
+      + 'so it will not be relaunched automatically again. Check the crash reports and the server log, '
+      + 'then `/palstart` it yourself to turn auto-recovery back on.');
+    return false;
+  }
+
+  const delaySeconds = Math.min(
+    config.recovery.initialDelaySeconds * 2 ** (crashTimes.length - 1),
+    config.recovery.maxDelaySeconds
+  );
+  scheduleRelaunch(delaySeconds);
+  return true;
+}
+
+/**
+ * Arms the one-shot relaunch timer, replacing any pending one.
+ * @param {number} delaySeconds - Wait before relaunching
+ * @private
+ */
+function scheduleRelaunch(delaySeconds) {
+  if (timerId) clearTimeout(timerId);
+  logger.info(`Relaunching the server in ${delaySeconds}s`);
+  timerId = setTimeout(() => {
+    timerId = null;
+    void relaunch();
+  }, delaySeconds * 1000);
+  timerId.unref?.();
+}
+
+/**
+ * One relaunch attempt. Stands aside while another operation holds the lock -
+ * that operation may well be a start - and looks again after the initial delay,
+ * without counting it. A relaunch that fails counts like another crash.
+ * Never throws.
+ * @private
+ */
+async function relaunch() {
+  if (halted || !recoverAction) return;
+  if (isLocked()) {
+    logger.info('Relaunch postponed: another operation is in progress');
+    scheduleRelaunch(config.recovery.initialDelaySeconds);
+    return;
+  }
+
+  let result;
+  try {
+    result = await recoverAction();
+  } catch (error) {
+    result = { success: false, message: sanitizeErrorMessage(error) };
+  }
+  if (result.success) {
+    logger.info(`Relaunch succeeded: ${result.message}`);
+    return;
+  }
+  logger.warn(`Relaunch failed: ${result.message}`);
+  await countFailure();
+}
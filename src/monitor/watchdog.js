@@ -0,0 +1,175 @@
+import { isUp } from '../palworld.js';
+import { isServerProcessRunning, killServerByName } from '../servercontrol.js';
+import { sanitizeErrorMessage } from '../utils/security.js';
+import { createLogger } from '../utils/logger.js';
+import { withLock } from '../lock.js';
+import config from '../config/index.js';
+import { expectStop, stopWasExpected, clearStopIntent } from '../actions/intent.js';
+import { inMaintenance } from '../maintenance.js';
+import { announceServerEvent, announceAdminEvent, lastKnownServerName } from './presence.js';
+import { reportCrash } from './crashwatch.js';
+import { recoverFromCrash, recoverFromWedge } from './recovery.js';
+
+// Logger instance for this module
+const logger = createLogger('Monitor');
+
+/** How often a silent server is probed while the watchdog waits on it. */
+const PROBE_INTERVAL_MS = 30000;
+
+// Watchdog state - owned here, mutated only within this module.
+let timerId = null;
+let probing = false;
+let silentSince = 0;
+let crashContext = null;
+let wedged = false;
+let respondingAction = null;
+
+/**
+ * Whether the watchdog is configured to run at all: it needs a timeout, and an
+ * image name (START_CMD) to look the process up by.
+ * @returns {boolean} True when the watchdog can run
+ */
+export function watchdogEnabled() {
+  return config.watchdog.wedgedMinutes > 0 && Boolean(config.server.startCommand);
+}
+
+/**
+ * Registers what to do when a watched server answers again (loop.setServerUp).
+ * Called by startMonitoring; injected rather than imported because loop.js
+ * already imports this module.
+ * @param {(() => Promise<void>)|null} fn - Transition back to UP
+ */
+export function setRespondingAction(fn) {
+  respondingAction = fn;
+}
+
+/**
+ * Starts watching a server whose REST API has gone silent while its process is
+ * still running. From here it is one of three things, and each probe looks for
+ * which:
+ *   - REST answers again: it was only slow, and the monitor goes back to UP;
+ *   - the process exits: it crashed after all (when it was up before, and no
+ *     stop was asked for), and is reported and recovered as one;
+ *   - neither, for WEDGED_TIMEOUT_MINUTES: it is wedged. Admins are alerted and,
+ *     with WEDGED_RESTART, it is killed and handed to crash recovery.
+ * A no-op when the watchdog is off or already watching.
+ * @param {object|null} context - The crash context crashwatch.reportCrash takes,
+ *   when the server was known up before it fell silent; null when it never was
+ *   (the bot started to find it already silent), whose exit then reports nothing
+ */
+export function watchSilentServer(context) {
+  if (!watchdogEnabled() || timerId) return;
+
+  silentSince = Date.now();
+  crashContext = context;
+  wedged = false;
+  timerId = setInterval(() => { void probe(); }, PROBE_INTERVAL_MS);
+  timerId.unref?.();
+  logger.info('REST is silent but the server process is running; watching it');
+}
+
+/**
+ * Stops watching. Called on the transition to UP, and by the watchdog itself
+ * once the silence has resolved one way or the other.
+ */
+export function stopWatchdog() {
+  if (timerId) {
+    clearInterval(timerId);
+    timerId = null;
+    logger.debug('Watchdog stopped');
+  }
+}
+
+/**
+ * One watchdog probe. Skips while the previous one is still running. Never throws.
+ * @private
+ */
+async function probe() {
+  if (probing || !timerId) return;
+  probing = true;
+  try {
+    if (await isUp()) {
+      stopWatchdog();
+      logger.info('REST is answering again');
+      if (wedged) await announceAdminEvent(`✅ **${lastKnownServerName}** is responding again.`);
+      await respondingAction?.();
+      return;
+    }
+
+    if (!(await isServerProcessRunning())) {
+      stopWatchdog();
+      // A stop the bot asked for - a /palkill of the frozen server, say - is not
+      // a crash, and neither is the exit of a server never seen up.
+      const crashed = crashContext && !stopWasExpected();
+      clearStopIntent();
+      if (crashed) {
+        await reportCrash(crashContext);
+        if (!inMaintenance()) await recoverFromCrash();
+      }
+      return;
+    }
+
+    const silentMinutes = (Date.now() - silentSince) / 60000;
+    if (silentMinutes < config.watchdog.wedgedMinutes) return;
+
+    if (!wedged) {
+      wedged = true;
+      await declareWedged(Math.round(silentMinutes));
+    }
+    // Mid-maintenance a silent server may be the admins' own doing: alert only.
+    if (config.watchdog.restart && !inMaintenance()) await killWedged();
+  } catch (error) {
+    logger.error(`Watchdog probe failed: ${sanitizeErrorMessage(error)}`);
+  } finally {
+    probing = false;
+  }
+}
+
+/**
+ * Logs and announces that the server is wedged. The announce channel hears that
+ * it is frozen; the admin channel also hears what the bot will do about it.
+ * @param {number} minutes - Minutes it has been silent
+ * @private
+ */
+async function declareWedged(minutes) {
+  logger.error(`Server is wedged: process running, REST silent for ${minutes} min`);
+  await announceServerEvent(`🧊 **${lastKnownServerName}** has frozen — it has not responded for ${minutes} minutes.`);
+  await announceAdminEvent(
+    `🧊 **${lastKnownServerName}** is wedged: its process is still running, but the REST API has not answered for ${minutes} minutes. `
+    + (config.watchdog.restart && !inMaintenance()
+      ? 'Force-killing it to restart it.'
+      : 'Nothing has been done about it; `/palkill` it, then `/palstart` it.'));
+}
+
+/**
+ * Force-kills the wedged server under the shared lock and hands it to crash
+ * recovery for the relaunch. Stands aside while another operation holds the
+ * lock - perhaps an admin's own /palkill - and tries again at the next probe.
+ * @private
+ */
+async function killWedged() {
+  let result;
+  try {
+    result = await withLock(async () => {
+      // Recorded first, so the process vanishing is not also reported as a crash.
+      expectStop();
+      return killServerByName();
+    });
+  } catch (error) {
+    logger.info(`Wedged-server kill postponed: ${sanitizeErrorMessage(error)}`);
+    return;
+  }
+
+  if (!result.killed) {
+    logger.warn(`Wedged-server kill failed: ${result.reason}`);
+    return;
+  }
+
+  stopWatchdog();
+  clearStopIntent();
+  logger.info(`Wedged server force-killed (${result.image})`);
+  const relaunching = await recoverFromWedge();
+  await announceAdminEvent(relaunching
+    ? `🔨 Force-killed the wedged **${lastKnownServerName}**; it will be started again shortly.`
+    : `🔨 Force-killed the wedged **${lastKnownServerName}**. Auto-recovery is stopped, so \`/palstart\` it when ready.`);
+}
@@ -59,11 +59,38 @@ export async function getPlayers() {
 
 export async function getMetrics() { return apiGet('/metrics'); }
 
+/**
+ * The server's effective world settings (PalWorldSettings.ini as loaded), keyed
+ * by the ini's own names, e.g. { ExpRate: 1, bIsPvP: false, ... }.
+ */
+export async function getSettings() { return apiGet('/settings'); }
+
 export async function saveWorld() { return apiPost('/save'); }
 
 /** Broadcasts a message to all players in in-game chat. */
 export async function announce(message) { return apiPost('/announce', { message }); }
 
+/**
+ * Kicks a connected player. The server shows the message to the kicked player.
+ * @param {string} userId - The player's platform user id (e.g. 'steam_7656...'), as /players reports it
+ * @param {string} message - Reason shown to the player
+ */
+export async function kickPlayer(userId, message) { return apiPost('/kick', { userid: userId, message }); }
+
+/**
+ * Bans a player by user id. Works whether or not they are online: the server
+ * records the id in its own ban list and kicks them if connected.
+ * @param {string} userId - The player's platform user id
+ * @param {string} message - Reason shown to the player
+ */
+export async function banPlayer(userId, message) { return apiPost('/ban', { userid: userId, message }); }
+
+/**
+ * Removes a user id from the server's ban list.
+ * @param {string} userId - The player's platform user id
+ */
+export async function unbanPlayer(userId) { return apiPost('/unban', { userid: userId }); }
+
 export async function shutdown(seconds = 0, message = 'Stopping...') {
   return apiPost('/shutdown', { waittime: seconds, message });
 }
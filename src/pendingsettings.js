@@ -0,0 +1,96 @@
+/**
+ * Staged world-settings changes
+ *
+ * /palconfig set never touches PalWorldSettings.ini directly: the server reads
+ * the file only at startup, and rewriting it under a running server achieves
+ * nothing until the next start anyway. Changes are staged in
+ * data/pending-settings.json instead, and written into the ini in one go at the
+ * next moment the server is confirmed stopped - a restart or a start (see
+ * actions/shared.applyStagedSettings).
+ *
+ * Deliberately depends on nothing but the data-file and ini plumbing, so any
+ * layer can import it without closing an import cycle.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { readWorldSettings, writeWorldSettings, serializeOptionSettings } from './worldsettings.js';
+
+/** Pending-changes file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'pending-settings.json';
+
+/**
+ * One staged change.
+ * @typedef {Object} PendingSetting
+ * @property {string} key - Settings key, as the ini spells it
+ * @property {string} value - Raw value to write, already validated and encoded
+ * @property {string} stagedBy - Discord username of the admin who staged it
+ * @property {string} stagedAt - ISO timestamp of the staging
+ */
+
+/**
+ * Every staged change, in the order staged.
+ * @returns {PendingSetting[]} Staged changes; empty when there are none
+ */
+export function listPendingSettings() {
+  const pending = readJsonFile(FILE_NAME, []);
+  return Array.isArray(pending) ? pending : [];
+}
+
+/**
+ * Stages a change, replacing any earlier one for the same key. Staging the value
+ * the file already holds withdraws the change instead, so the pending list only
+ * ever shows real differences.
+ * @param {PendingSetting} change - Change to stage
+ * @param {string} currentRaw - The key's raw value in the file right now
+ * @returns {'staged'|'unchanged'} Whether a change is now pending for the key
+ */
+export function stageSetting(change, currentRaw) {
+  const pending = listPendingSettings().filter(p => p.key !== change.key);
+  const unchanged = change.value === currentRaw;
+  if (!unchanged) pending.push(change);
+  writeJsonFile(FILE_NAME, pending);
+  return unchanged ? 'unchanged' : 'staged';
+}
+
+/**
+ * Stages several changes at once, replacing any earlier ones for the same keys.
+ * The caller passes only real differences from the file.
+ * @param {PendingSetting[]} changes - Changes to stage
+ */
+export function stageSettings(changes) {
+  const keys = new Set(changes.map(c => c.key));
+  writeJsonFile(FILE_NAME, [...listPendingSettings().filter(p => !keys.has(p.key)), ...changes]);
+}
+
+/**
+ * Drops staged changes: one key, or all of them.
+ * @param {string} [key] - Key to drop; omit to drop everything
+ * @returns {PendingSetting[]} The changes dropped
+ */
+export function clearPendingSettings(key) {
+  const pending = listPendingSettings();
+  const dropped = key ? pending.filter(p => p.key === key) : pending;
+  if (dropped.length) writeJsonFile(FILE_NAME, key ? pending.filter(p => p.key !== key) : []);
+  return dropped;
+}
+
+/**
+ * Writes every staged change into PalWorldSettings.ini and clears the staging
+ * file. The CALLER guarantees the server is stopped. A staged key the file no
+ * longer has (the ini was replaced by hand) is skipped rather than added, since
+ * the bot never invents keys. Throws when the file cannot be read or written, in
+ * which case nothing is cleared and the changes stay staged for the next try.
+ * @returns {{applied: PendingSetting[], skipped: PendingSetting[]}} What was written and what was not
+ */
+export function applyPendingSettings() {
+  const pending = listPendingSettings();
+  if (pending.length === 0) return { applied: [], skipped: [] };
+
+  const { file, text, entries } = readWorldSettings();
+  const applied = pending.filter(p => entries.has(p.key));
+  const skipped = pending.filter(p => !entries.has(p.key));
+  for (const change of applied) entries.set(change.key, change.value);
+
+  writeWorldSettings(file, serializeOptionSettings(text, entries));
+  writeJsonFile(FILE_NAME, []);
+  return { applied, skipped };
+}
@@ -0,0 +1,159 @@
+/**
+ * Player history
+ *
+ * The read side of the session log (sessions.js): folds the closed sessions in
+ * logs/sessions.jsonl, plus whatever is open right now, into per-player figures -
+ * last seen, last session length, total playtime - and ranks playtime over a
+ * period for the leaderboard. Nothing here is stored: the log is the single
+ * source of truth, and re-deriving from it on each request means a figure can
+ * never drift from the sessions it claims to summarise.
+ */
+import { readSessions, getOpenSessions } from './sessions.js';
+
+/**
+ * Per-player summary.
+ * @typedef {Object} PlayerHistory
+ * @property {string} userId - Platform user id
+ * @property {string} name - Most recently seen display name
+ * @property {boolean} online - True while a session is open
+ * @property {number} lastSeenAt - Epoch ms of the latest sighting
+ * @property {number} lastSessionSeconds - Length of the latest session (the open one, so far, when online)
+ * @property {number} totalSeconds - Playtime across every session, including an open one
+ * @property {number} sessionCount - Number of sessions, including an open one
+ */
+
+/**
+ * Folds every session, closed and open, into one summary per player.
+ * @param {number} [now=Date.now()] - Epoch ms that open sessions are measured up to
+ * @returns {Map<string, PlayerHistory>} userId -> summary
+ * @private
+ */
+function buildHistories(now = Date.now()) {
+  const histories = new Map();
+
+  const fold = (userId, name, startMs, endMs, online) => {
+    const seconds = Math.max(0, Math.round((endMs - startMs) / 1000));
+    const h = histories.get(userId)
+      ?? { userId, name, online: false, lastSeenAt: 0, lastSessionSeconds: 0, totalSeconds: 0, sessionCount: 0 };
+    h.totalSeconds += seconds;
+    h.sessionCount++;
+    if (endMs >= h.lastSeenAt) {
+      h.name = name;
+      h.lastSeenAt = endMs;
+      h.lastSessionSeconds = seconds;
+    }
+    if (online) h.online = true;
+    histories.set(userId, h);
+  };
+
+  for (const s of readSessions()) {
+    fold(s.userId, s.name, Date.parse(s.joinedAt), Date.parse(s.leftAt), false);
+  }
+  // Open sessions count up to now, and a player online now was last seen now.
+  for (const s of getOpenSessions()) {
+    fold(s.userId, s.name, s.joinedAt, now, true);
+  }
+
+  return histories;
+}
+
+/**
+ * Every player the session log knows of, most recently seen first.
+ * @returns {PlayerHistory[]} Player summaries
+ */
+export function listKnownPlayers() {
+  return [...buildHistories().values()].sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
+
+/**
+ * Looks a player up by user id, or by their latest name case-insensitively.
+ * @param {string} query - User id or player name
+ * @returns {PlayerHistory|undefined} The player's summary, if they have ever been seen
+ */
+export function findPlayerHistory(query) {
+  const wanted = query.trim();
+  const lowered = wanted.toLowerCase();
+  const players = listKnownPlayers();
+  return players.find(p => p.userId === wanted) ?? players.find(p => p.name.toLowerCase() === lowered);
+}
+
+/**
+ * Autocomplete choices for a player option: known players whose name contains
+ * what has been typed so far, most recently seen first. The choice VALUE is the
+ * user id, so a picked entry resolves exactly even when two players share a name.
+ * @param {string} typed - Partial text from the focused option
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices, Discord's cap
+ */
+export function playerChoices(typed) {
+  const needle = typed.trim().toLowerCase();
+  return listKnownPlayers()
+    .filter(p => p.name.toLowerCase().includes(needle))
+    .slice(0, 25)
+    .map(p => ({ name: p.name.slice(0, 100) || p.userId, value: p.userId.slice(0, 100) }));
+}
+
+/**
+ * Every session, closed and open, as [start, end] epoch-ms intervals clipped to
+ * a window. Sessions entirely outside the window are dropped.
+ * @param {number} sinceMs - Window start (epoch ms); 0 for all time
+ * @param {number} now - Window end, and the end of any open session
+ * @returns {Array<{userId: string, name: string, start: number, end: number}>} Clipped intervals
+ * @private
+ */
+function sessionsWithin(sinceMs, now) {
+  const intervals = [
+    ...readSessions().map(s => ({ userId: s.userId, name: s.name, start: Date.parse(s.joinedAt), end: Date.parse(s.leftAt) })),
+    ...getOpenSessions().map(s => ({ userId: s.userId, name: s.name, start: s.joinedAt, end: now }))
+  ];
+  return intervals
+    .filter(s => s.end > sinceMs && s.start < now)
+    .map(s => ({ ...s, start: Math.max(s.start, sinceMs), end: Math.min(s.end, now) }));
+}
+
+/**
+ * Ranks players by playtime accumulated inside a window, and finds the window's
+ * peak concurrent player count.
+ *
+ * Playtime is clipped to the window, so a session that started yesterday counts
+ * only its part since midnight toward "today". The peak is a sweep over session
+ * starts and ends; at a shared instant ends are applied before starts, so a
+ * player who leaves as another joins is not counted twice.
+ * @param {number} sinceMs - Window start (epoch ms); 0 for all time
+ * @param {number} [now=Date.now()] - Window end
+ * @returns {{rows: Array<{userId: string, name: string, seconds: number, sessions: number}>,
+ *   peak: {count: number, at: number|null}}} Rows sorted by playtime, longest
+ *   first, and the peak with the epoch ms it was first reached (null when empty)
+ */
+export function buildLeaderboard(sinceMs, now = Date.now()) {
+  const intervals = sessionsWithin(sinceMs, now);
+
+  const totals = new Map();
+  for (const s of intervals) {
+    const row = totals.get(s.userId) ?? { userId: s.userId, name: s.name, seconds: 0, sessions: 0, lastEnd: 0 };
+    row.seconds += Math.round((s.end - s.start) / 1000);
+    row.sessions++;
+    if (s.end >= row.lastEnd) {
+      row.name = s.name;
+      row.lastEnd = s.end;
+    }
+    totals.set(s.userId, row);
+  }
+  const rows = [...totals.values()]
+    .map(({ lastEnd, ...row }) => row)
+    .filter(row => row.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds);
+
+  const events = intervals.flatMap(s => [[s.start, 1], [s.end, -1]]);
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  const peak = { count: 0, at: null };
+  for (const [at, delta] of events) {
+    current += delta;
+    if (current > peak.count) {
+      peak.count = current;
+      peak.at = at;
+    }
+  }
+
+  return { rows, peak };
+}
@@ -0,0 +1,103 @@
+/**
+ * World-settings presets
+ *
+ * Named snapshots of PalWorldSettings.ini values - "normal", "event weekend" -
+ * kept in data/presets.json so a whole rule set can be swapped in with one
+ * /palpreset apply. A preset holds every editable setting the file had when it
+ * was saved; passwords and the REST API settings are never captured, so applying
+ * a preset can neither leak nor lock the bot out.
+ *
+ * Deliberately depends on nothing but the data-file and ini plumbing, so any
+ * layer can import it without closing an import cycle.
+ */
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { isEditableSetting } from './worldsettings.js';
+
+/** Preset file name, resolved inside the launch folder's data/ directory. */
+const FILE_NAME = 'presets.json';
+
+/** Preset names: short, and safe to show in messages and announcements as-is. */
+export const PRESET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]{0,31}$/;
+
+/**
+ * One saved preset.
+ * @typedef {Object} Preset
+ * @property {string} name - Preset name, as given when saved
+ * @property {Object<string, string>} values - Key -> raw value as the ini writes it
+ * @property {string} savedBy - Discord username of the admin who saved it
+ * @property {string} savedAt - ISO timestamp of the save
+ */
+
+/**
+ * Every saved preset, in the order saved.
+ * @returns {Preset[]} Presets; empty when there are none
+ */
+export function listPresets() {
+  const presets = readJsonFile(FILE_NAME, []);
+  return Array.isArray(presets) ? presets : [];
+}
+
+/**
+ * Looks a preset up by name, case-insensitively.
+ * @param {string} name - Preset name
+ * @returns {Preset|undefined} The preset, if saved
+ */
+export function getPreset(name) {
+  const lowered = name.trim().toLowerCase();
+  return listPresets().find(p => p.name.toLowerCase() === lowered);
+}
+
+/**
+ * Saves the editable settings from a parsed ini under a name, replacing any
+ * preset already saved under it.
+ * @param {string} name - Preset name; must match PRESET_NAME_PATTERN
+ * @param {Map<string, string>} entries - Parsed OptionSettings
+ * @param {string} savedBy - Discord username of the admin saving it
+ * @returns {Preset} The saved preset
+ */
+export function savePreset(name, entries, savedBy) {
+  const values = Object.fromEntries([...entries].filter(([key]) => isEditableSetting(key)));
+  const preset = { name, values, savedBy, savedAt: new Date().toISOString() };
+  const lowered = name.toLowerCase();
+  writeJsonFile(FILE_NAME, [...listPresets().filter(p => p.name.toLowerCase() !== lowered), preset]);
+  return preset;
+}
+
+/**
+ * Deletes a preset.
+ * @param {string} name - Preset name, case-insensitively
+ * @returns {Preset|null} The deleted preset, or null when there was none
+ */
+export function deletePreset(name) {
+  const presets = listPresets();
+  const lowered = name.trim().toLowerCase();
+  const removed = presets.find(p => p.name.toLowerCase() === lowered) ?? null;
+  if (removed) writeJsonFile(FILE_NAME, presets.filter(p => p !== removed));
+  return removed;
+}
+
+/**
+ * What applying a preset would change in a parsed ini: every key whose value
+ * differs. Keys the file no longer has are left out - applying never adds keys.
+ * @param {Preset} preset - Preset to compare
+ * @param {Map<string, string>} entries - Parsed OptionSettings
+ * @returns {Array<{key: string, from: string, to: string}>} Differences, in preset order
+ */
+export function presetChanges(preset, entries) {
+  return Object.entries(preset.values)
+    .filter(([key, raw]) => entries.has(key) && entries.get(key) !== raw && isEditableSetting(key))
+    .map(([key, raw]) => ({ key, from: entries.get(key), to: raw }));
+}
+
+/**
+ * Autocomplete choices for a preset name.
+ * @param {string} typed - Partial text from the focused option
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices, Discord's cap
+ */
+export function presetChoices(typed) {
+  const needle = typed.trim().toLowerCase();
+  return listPresets()
+    .filter(p => p.name.toLowerCase().includes(needle))
+    .slice(0, 25)
+    .map(p => ({ name: p.name, value: p.name }));
+}
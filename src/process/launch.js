@@ -5,6 +5,7 @@ import { createLogger } from '../utils/logger.js';
 import { isServerProcessRunning } from '../servercontrol.js';
 import { announceServerEvent } from '../monitor.js';
 import { runSteamUpdate } from '../steamupdate.js';
+import { takeBackup } from '../backup.js';
 import config from '../config/index.js';
 import { startWindowsService } from './service.js';
 import { runSecureDetached } from './hiddenLaunch.js';
@@ -87,6 +88,10 @@ async function maybeRunUpdate(onProgress) {
     return null;
   }
 
+  // An update can change how the world loads, so snapshot the saves first. The
+  // server is down here, so there is no uptime to record. Best-effort.
+  await takeBackup('update');
+
   const result = await runSteamUpdate({ onProgress });
   if (result.ok) {
     logger.info(result.updated ? 'SteamCMD update applied' : 'Server already up to date');
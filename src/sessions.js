@@ -0,0 +1,235 @@
+/**
+ * Player session tracking
+ *
+ * Diffs consecutive /players rosters by user id and turns the differences into
+ * join/leave sessions: player id, name, join time, leave time and duration, plus
+ * the average and worst ping the polls saw during the session. Every closed
+ * session is appended to logs/sessions.jsonl, which is the history the player
+ * features read back.
+ *
+ * JSON LINES, NOT CSV like fps.csv: player names are attacker-controlled, and a
+ * comma, quote or newline in one would tear a CSV row. One JSON object per line
+ * keeps each record self-delimiting and still appends in a single write. The file
+ * is never rolled over - it is history rather than diagnostics, and at one short
+ * line per play session it stays small for a private server.
+ *
+ * Sessions still OPEN are kept in data/open-sessions.json as well as in memory,
+ * so a bot restart mid-session does not lose the join time. A restored session is
+ * closed at the last time it was actually seen rather than when the restarted bot
+ * first noticed it gone - the bot was not watching in between.
+ *
+ * Resolution is the poll cadence: a join or leave is stamped with the time of the
+ * poll that noticed it. Every write is best-effort - a failed write must never
+ * disturb the monitor that feeds this.
+ *
+ * Deliberately depends on nothing but the file plumbing, so the monitor can
+ * import it without closing an import cycle.
+ */
+import fs from 'node:fs';
+import { ensureLogDir, logPath } from './utils/logfiles.js';
+import { readJsonFile, writeJsonFile } from './utils/datafiles.js';
+import { createLogger } from './utils/logger.js';
+import { sanitizeErrorMessage } from './utils/security.js';
+
+const logger = createLogger('Sessions');
+
+/** Closed-session log file name, resolved inside the launch folder's logs/ directory. */
+const LOG_FILE_NAME = 'sessions.jsonl';
+
+/** Open-session state file name, resolved inside the launch folder's data/ directory. */
+const STATE_FILE_NAME = 'open-sessions.json';
+
+/**
+ * A session still in progress.
+ * @typedef {Object} OpenSession
+ * @property {string} userId - Platform user id
+ * @property {string} name - Latest display name seen
+ * @property {number} joinedAt - Epoch ms of the poll that first saw the player
+ * @property {number} lastSeenAt - Epoch ms of the latest poll that saw the player
+ * @property {number} [pingSamples] - Polls that reported a ping for the player
+ * @property {number} [pingTotalMs] - Sum of those pings, for the average
+ * @property {number} [pingMaxMs] - Worst of those pings
+ * @property {boolean} [restored] - Loaded from disk and not yet seen by this bot process
+ */
+
+/**
+ * A finished session, as logged.
+ * @typedef {Object} ClosedSession
+ * @property {string} userId - Platform user id
+ * @property {string} name - Display name at leave time
+ * @property {string} joinedAt - ISO timestamp of the join
+ * @property {string} leftAt - ISO timestamp of the leave
+ * @property {number} durationSeconds - Whole seconds between the two
+ * @property {number} [avgPingMs] - Average sampled ping; absent when none was reported
+ * @property {number} [maxPingMs] - Worst sampled ping; absent when none was reported
+ */
+
+/** userId -> OpenSession; null until first loaded from disk. */
+let open = null;
+
+/**
+ * Loads the open-session state on first use. Everything loaded is marked restored
+ * until a poll sees that player again.
+ * @returns {Map<string, OpenSession>} The open-session map
+ * @private
+ */
+function openSessions() {
+  if (!open) {
+    const saved = readJsonFile(STATE_FILE_NAME, []);
+    open = new Map((Array.isArray(saved) ? saved : []).map(s => [s.userId, { ...s, restored: true }]));
+  }
+  return open;
+}
+
+/**
+ * Persists the open-session state. Best-effort.
+ * @private
+ */
+function saveOpenSessions() {
+  try {
+    writeJsonFile(STATE_FILE_NAME, [...openSessions().values()].map(({ restored, ...s }) => s));
+  } catch (error) {
+    logger.warn(`Open sessions not saved: ${sanitizeErrorMessage(error)}`);
+  }
+}
+
+/**
+ * The key a roster entry is tracked by. userId is the stable platform id; the
+ * in-game playerId and then the name are fallbacks for a server build that omits it.
+ * @param {object} player - Player record from the Palworld API
+ * @returns {string} Tracking key
+ */
+export function playerKey(player) {
+  return player.userId ?? player.playerId ?? player.name ?? player.playerName;
+}
+
+/**
+ * Closes one session and appends it to the log. Best-effort.
+ * @param {OpenSession} session - Session to close
+ * @param {number} at - Epoch ms the leave was noticed
+ * @returns {ClosedSession} The closed record
+ * @private
+ */
+function closeSession(session, at) {
+  // A restored session nobody has seen since the bot came back ended at some
+  // unknown point while the bot was away; its last sighting is the honest bound.
+  const leftAt = session.restored ? session.lastSeenAt : at;
+  const record = {
+    userId: session.userId,
+    name: session.name,
+    joinedAt: new Date(session.joinedAt).toISOString(),
+    leftAt: new Date(leftAt).toISOString(),
+    durationSeconds: Math.max(0, Math.round((leftAt - session.joinedAt) / 1000))
+  };
+  if (session.pingSamples) {
+    record.avgPingMs = Math.round(session.pingTotalMs / session.pingSamples);
+    record.maxPingMs = Math.round(session.pingMaxMs);
+  }
+
+  try {
+    ensureLogDir();
+    fs.appendFileSync(logPath(LOG_FILE_NAME), `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    logger.warn(`Session not recorded: ${sanitizeErrorMessage(error)}`);
+  }
+  return record;
+}
+
+/**
+ * Diffs a fresh roster against the open sessions: new user ids open a session,
+ * missing ones close theirs, and everyone still present has their last sighting,
+ * name and ping figures refreshed. Never throws.
+ * @param {Array<object>} players - The full /players roster from one poll
+ * @param {number} [at=Date.now()] - Epoch ms of the poll
+ * @returns {{joined: OpenSession[], left: ClosedSession[]}} What changed since the last roster
+ */
+export function recordPlayers(players, at = Date.now()) {
+  const sessions = openSessions();
+  const joined = [];
+  const left = [];
+  const present = new Set();
+
+  for (const player of players) {
+    const userId = playerKey(player);
+    if (!userId) continue;
+    present.add(userId);
+
+    const name = player.name ?? player.playerName ?? userId;
+    let session = sessions.get(userId);
+    if (session) {
+      session.name = name;
+      session.lastSeenAt = at;
+      delete session.restored;
+    } else {
+      session = { userId, name, joinedAt: at, lastSeenAt: at };
+      sessions.set(userId, session);
+      joined.push(session);
+    }
+    if (Number.isFinite(player.ping)) {
+      session.pingSamples = (session.pingSamples ?? 0) + 1;
+      session.pingTotalMs = (session.pingTotalMs ?? 0) + player.ping;
+      session.pingMaxMs = Math.max(session.pingMaxMs ?? 0, player.ping);
+    }
+  }
+
+  for (const [userId, session] of sessions) {
+    if (present.has(userId)) continue;
+    sessions.delete(userId);
+    left.push(closeSession(session, at));
+  }
+
+  saveOpenSessions();
+  return { joined, left };
+}
+
+/**
+ * Closes every open session - the server went down, so everyone left with it.
+ * Called from the monitor's down transition. Silent no-op when nobody was on.
+ * @param {number} [at=Date.now()] - Epoch ms of the down transition
+ * @returns {ClosedSession[]} The sessions closed
+ */
+export function closeAllSessions(at = Date.now()) {
+  const sessions = openSessions();
+  if (sessions.size === 0) return [];
+
+  const closed = [...sessions.values()].map(s => closeSession(s, at));
+  sessions.clear();
+  saveOpenSessions();
+  logger.info(`Closed ${closed.length} open session(s): server is down`);
+  return closed;
+}
+
+/**
+ * Snapshot of the sessions currently open.
+ * @returns {OpenSession[]} Open sessions, in join order
+ */
+export function getOpenSessions() {
+  return [...openSessions().values()].map(s => ({ ...s }));
+}
+
+/**
+ * Reads every closed session from the log, oldest first. Torn or malformed lines
+ * are skipped rather than throwing.
+ * @returns {ClosedSession[]} Closed sessions; empty when the log is missing or unreadable
+ */
+export function readSessions() {
+  try {
+    const file = logPath(LOG_FILE_NAME);
+    if (!fs.existsSync(file)) return [];
+
+    const sessions = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record?.userId && Number.isFinite(Date.parse(record.joinedAt)) && Number.isFinite(Date.parse(record.leftAt))) {
+          sessions.push(record);
+        }
+      } catch {}
+    }
+    return sessions;
+  } catch (error) {
+    logger.warn(`Sessions could not be read: ${sanitizeErrorMessage(error)}`);
+    return [];
+  }
+}
@@ -22,6 +22,7 @@ import { logPath, getLogDir, ensureLogDir } from './utils/logfiles.js';
 import { sanitizeErrorMessage } from './utils/security.js';
 import { createLogger } from './utils/logger.js';
 import { doStart, doStop, doBounce, doKill } from './actions.js';
+import { inMaintenance, onMaintenanceChange } from './maintenance.js';
 import config from './config/index.js';
 
 const require = createRequire(import.meta.url);
@@ -29,6 +30,18 @@ const Tray = require('trayicon');
 
 const logger = createLogger('Tray');
 
+/** Tray tooltip; " - Maintenance" is added while maintenance mode is on. */
+const TRAY_TITLE = "Exo's Palworld Bot";
+
+/**
+ * The tray tooltip for a maintenance-mode setting.
+ * @param {boolean} maintenance - Whether maintenance mode is on
+ * @returns {string} Tooltip text
+ */
+function trayTitle(maintenance) {
+  return maintenance ? `${TRAY_TITLE} - Maintenance` : TRAY_TITLE;
+}
+
 /**
  * Opens a filesystem path with the OS default handler. When the target file does
  * not exist yet (e.g. palserver.log before the first /palstart), the logs folder
@@ -185,7 +198,10 @@ function loadIcon() {
  */
 export async function startTray(client) {
   const icon = loadIcon();
-  const tray = await Tray.create({ title: "Exo's Palworld Bot", icon, useTempDir: 'clean' });
+  // Always created under the constant title: trayicon names its helper exe after
+  // the title it is created with, and a pinned icon is pinned to that name.
+  const tray = await Tray.create({ title: TRAY_TITLE, icon, useTempDir: 'clean' });
+  if (inMaintenance()) tray.setTitle(trayTitle(true));
 
   // The helper can die abnormally (emits 'error' with "Invalid exit code N").
   // Log it rather than letting an unhandled 'error' event crash the process.
@@ -197,7 +213,9 @@ export async function startTray(client) {
   // run host-side as the configured actor. Each child runs its shared action
   // defensively so a failure only logs and never crashes the tray.
   const commands = tray.item('Commands');
-  commands.add(tray.item('Start Server', () => { void runTrayCommand('Start Server', doStart); }));
+  commands.add(tray.item('Start Server', () => {
+    void runTrayCommand('Start Server', (options) => doStart({ ...options, manual: true }));
+  }));
   commands.add(tray.item('Reboot Server', () => { void runTrayCommand('Reboot Server', doBounce); }));
   commands.add(tray.item('Stop Server', () => { void runTrayCommand('Stop Server', doStop); }));
 
@@ -219,6 +237,9 @@ export async function startTray(client) {
     tray.item('Quit', () => { void quit(tray, client); })
   );
 
+  // The tooltip shows maintenance mode, so it follows every switch of it.
+  onMaintenanceChange((state) => tray.setTitle(trayTitle(state.on)));
+
   logger.info('System tray started');
   return tray;
 }
@@ -0,0 +1,81 @@
+/**
+ * Shared data-file utilities
+ *
+ * Plumbing for the small JSON stores the bot keeps for itself - ledgers and
+ * state that must survive a bot restart. They live in a `data/` folder beside
+ * `logs/` in the launch folder (getBaseDir), so the operator finds both in the
+ * same place, but apart from the logs so clearing out old logs never takes a
+ * ledger with it.
+ *
+ * Writes go to a temporary file first and are renamed over the target, so a bot
+ * killed mid-write leaves the previous version intact rather than a torn file.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { getBaseDir } from './paths.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('DataFiles');
+
+/**
+ * Absolute path to the `data/` folder beside the running process.
+ * @returns {string} Resolved data directory path
+ */
+export function getDataDir() {
+  return path.join(getBaseDir(), 'data');
+}
+
+/**
+ * Resolves a file name to its path inside the data directory.
+ * @param {string} name - Data file name (e.g. 'bans.json')
+ * @returns {string} Absolute path to the data file
+ */
+export function dataPath(name) {
+  return path.join(getDataDir(), name);
+}
+
+/**
+ * Reads and parses a JSON data file.
+ *
+ * A missing file is the normal first-run case and yields the fallback. A file
+ * that exists but does not parse is moved aside to `<name>.corrupt` before the
+ * fallback is returned: silently treating it as empty would let the next write
+ * overwrite whatever the operator could still recover from it by hand.
+ * @param {string} name - Data file name
+ * @param {*} fallback - Value returned when the file is missing or unreadable
+ * @returns {*} Parsed contents, or the fallback
+ */
+export function readJsonFile(name, fallback) {
+  const file = dataPath(name);
+  let text;
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    logger.warn(`Could not read ${name}: ${error.code ?? 'read error'}`);
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    logger.error(`${name} is not valid JSON - moved aside to ${name}.corrupt and starting empty`);
+    try { fs.renameSync(file, `${file}.corrupt`); } catch {}
+    return fallback;
+  }
+}
+
+/**
+ * Writes a value as pretty-printed JSON, atomically via a temporary file and a
+ * rename. Throws on failure: unlike the logs, a ledger write that silently did
+ * nothing would let a command report a change that was never kept.
+ * @param {string} name - Data file name
+ * @param {*} value - JSON-serializable value
+ */
+export function writeJsonFile(name, value) {
+  fs.mkdirSync(getDataDir(), { recursive: true });
+  const file = dataPath(name);
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(value, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
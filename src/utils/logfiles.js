@@ -56,3 +56,31 @@ export function rolloverIfLarge(filePath, maxBytes) {
     }
   } catch {}
 }
+
+/**
+ * Reads the last few lines of a log file without loading the whole thing: only
+ * the final block of bytes is read, which is plenty for a handful of lines.
+ * Best-effort: a missing or unreadable file yields no lines.
+ * @param {string} filePath - Path to the log file
+ * @param {number} maxLines - Most lines to return
+ * @param {number} [maxBytes=16384] - How far back from the end to read
+ * @returns {string[]} Up to maxLines final non-empty lines, oldest first
+ */
+export function readTail(filePath, maxLines, maxBytes = 16384) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const size = fs.fstatSync(fd).size;
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').split(/\r?\n/).filter(line => line.trim());
+    // A partial first line is only kept when the read started at the very top.
+    if (length < size) lines.shift();
+    return lines.slice(-maxLines);
+  } catch {
+    return [];
+  } finally {
+    if (fd !== undefined) try { fs.closeSync(fd); } catch {}
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Paginated embed replies
+ *
+ * Renders a list of embeds one page at a time behind Previous/Next buttons on a
+ * deferred interaction. The buttons are served by a collector bound to the reply
+ * message itself, so they never reach the global interactionCreate dispatch and
+ * need no routing of their own; once the collector idles out the buttons are
+ * stripped and the last page shown stays as a plain message.
+ */
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, MessageFlags } from 'discord.js';
+import { safeEdit } from './interactions.js';
+import { createLogger } from './logger.js';
+import { sanitizeErrorMessage } from './security.js';
+
+const logger = createLogger('DiscordBot');
+
+/**
+ * How long the buttons stay live after the last click. Comfortably inside the
+ * 15-minute interaction token, so the final edit that strips them still lands.
+ */
+const IDLE_MS = 5 * 60 * 1000;
+
+/**
+ * Builds the Previous/Next row for the given page.
+ * @param {number} index - Zero-based page being shown
+ * @param {number} count - Total pages
+ * @returns {ActionRowBuilder} Button row
+ * @private
+ */
+function buttonRow(index, count) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('page:prev').setLabel('Previous').setStyle(ButtonStyle.Secondary).setDisabled(index === 0),
+    new ButtonBuilder().setCustomId('page:next').setLabel('Next').setStyle(ButtonStyle.Secondary).setDisabled(index === count - 1)
+  );
+}
+
+/**
+ * Shows embeds as pages on a deferred interaction. A single page is sent as a
+ * plain embed with no buttons. Only the member who ran the command can turn the
+ * pages; anyone else gets an ephemeral nudge to run it themselves.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - Deferred interaction
+ * @param {import('discord.js').EmbedBuilder[]} pages - Pages in order; at least one
+ * @returns {Promise<void>}
+ */
+export async function replyPaginated(interaction, pages) {
+  if (pages.length <= 1) {
+    await safeEdit(interaction, { embeds: pages.slice(0, 1) });
+    return;
+  }
+
+  // Stamp the page count after any footer the caller already set.
+  pages.forEach((page, i) => {
+    const own = page.data.footer?.text;
+    page.setFooter({ text: `${own ? `${own} · ` : ''}Page ${i + 1}/${pages.length}` });
+  });
+
+  let index = 0;
+  const message = await safeEdit(interaction, { embeds: [pages[index]], components: [buttonRow(index, pages.length)] });
+  if (!message) return;
+
+  const collector = message.createMessageComponentCollector({ componentType: ComponentType.Button, idle: IDLE_MS });
+
+  collector.on('collect', async (click) => {
+    try {
+      if (click.user.id !== interaction.user.id) {
+        await click.reply({ content: 'Run the command yourself to page through your own copy.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+      index = click.customId === 'page:prev' ? Math.max(0, index - 1) : Math.min(pages.length - 1, index + 1);
+      await click.update({ embeds: [pages[index]], components: [buttonRow(index, pages.length)] });
+    } catch (error) {
+      logger.debug(`Page turn failed: ${sanitizeErrorMessage(error)}`);
+    }
+  });
+
+  collector.on('end', () => {
+    safeEdit(interaction, { components: [] }).catch(() => {});
+  });
+}
@@ -0,0 +1,313 @@
+/**
+ * Wall-clock schedules
+ *
+ * Parses schedules like "04:00", "daily 04:00" or "Mon,Thu 05:30; Sat 09:00"
+ * and finds the next moment one is due in a given IANA timezone, using nothing
+ * but Intl - so "04:00 in Europe/Berlin" stays 04:00 local across daylight
+ * saving, whatever zone the host itself runs in. Weekly opening hours such as
+ * "Mon-Fri 18:00-23:30; Sat,Sun 12:00-02:00" are read and resolved the same way.
+ *
+ * Deliberately depends on nothing else in the bot, so config can validate a
+ * schedule at startup with the same parser that later runs it.
+ */
+
+/** Day names as the schedule accepts them, in Date#getDay() order. */
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * One slot of a schedule: a time of day, on some weekdays or on all of them.
+ * @typedef {Object} ScheduleSlot
+ * @property {number[]|null} days - Weekdays it runs on, 0 = Sunday; null for daily
+ * @property {number} hour - Hour, 0-23
+ * @property {number} minute - Minute, 0-59
+ */
+
+/**
+ * One window of weekly opening hours: open from one time of day to another, on
+ * some weekdays or on all of them. A window that closes at or before the time
+ * it opens runs past midnight into the next day.
+ * @typedef {Object} HoursSlot
+ * @property {number[]|null} days - Weekdays it opens on, 0 = Sunday; null for daily
+ * @property {{hour: number, minute: number}} open - Opening time
+ * @property {{hour: number, minute: number}} close - Closing time
+ */
+
+/**
+ * Parses a schedule: one or more slots separated by ';', each a 24-hour HH:MM
+ * time with an optional list of days before or after it - comma-separated
+ * three-letter or full day names or ranges of them (Mon-Fri), or "daily".
+ * @param {string} text - Schedule text, e.g. "Mon,Thu 05:30; Sat 09:00"
+ * @returns {ScheduleSlot[]} The slots, in the order given
+ * @throws {Error} When any slot cannot be read
+ */
+export function parseSchedule(text) {
+  return parseSlots(text, 'HH:MM time', (token) => {
+    const clock = /^(\d{1,2}:\d{2})$/.exec(token);
+    return clock && parseTime(clock[1]);
+  }).map(({ days, time }) => ({ days, ...time }));
+}
+
+/**
+ * Parses weekly opening hours: one or more windows separated by ';', each an
+ * HH:MM-HH:MM range with an optional list of days, as for parseSchedule. The
+ * days are the ones a window OPENS on, so "Fri 20:00-02:00" runs into Saturday.
+ * @param {string} text - Hours text, e.g. "Mon-Fri 18:00-23:30; Sat,Sun 12:00-02:00"
+ * @returns {HoursSlot[]} The windows, in the order given
+ * @throws {Error} When any window cannot be read
+ */
+export function parseHours(text) {
+  return parseSlots(text, 'HH:MM-HH:MM range', (token) => {
+    const range = /^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/.exec(token);
+    return range && { open: parseTime(range[1]), close: parseTime(range[2]) };
+  }).map(({ days, time }) => ({ days, ...time }));
+}
+
+/**
+ * Splits schedule text into slots and reads each one's days and time.
+ * @param {string} text - Schedule text, slots separated by ';'
+ * @param {string} timeName - What readTime reads, for error messages
+ * @param {(token: string) => object|null} readTime - Reads a time token; null
+ *   when the token is not one, so it is read as days instead
+ * @returns {{days: number[]|null, time: object}[]} The slots, in the order given
+ * @throws {Error} When any slot cannot be read
+ * @private
+ */
+function parseSlots(text, timeName, readTime) {
+  const slots = String(text).split(';').map(part => part.trim()).filter(Boolean);
+  if (slots.length === 0) throw new Error('Schedule is empty');
+
+  return slots.map(slot => {
+    let time = null;
+    let days = null;
+    for (const token of slot.split(/\s+/)) {
+      const parsed = readTime(token);
+      if (parsed) {
+        if (time) throw new Error(`"${slot}" has more than one time`);
+        time = parsed;
+        continue;
+      }
+      if (token.includes(':')) throw new Error(`"${token}" is not an ${timeName}`);
+      if (days) throw new Error(`"${slot}" has more than one list of days`);
+      days = parseDays(token);
+    }
+    if (!time) throw new Error(`"${slot}" has no ${timeName}`);
+    return { days: days && days.length < 7 ? days : null, time };
+  });
+}
+
+/**
+ * Parses one 24-hour HH:MM time.
+ * @param {string} text - e.g. "05:30"
+ * @returns {{hour: number, minute: number}} The time
+ * @throws {Error} When it is not a time of day
+ * @private
+ */
+function parseTime(text) {
+  const [hour, minute] = text.split(':').map(Number);
+  if (hour > 23 || minute > 59) throw new Error(`"${text}" is not a time of day`);
+  return { hour, minute };
+}
+
+/**
+ * Parses a comma-separated list of days and day ranges, or "daily". A range
+ * may wrap past Sunday: "Fri-Mon" is Friday to Monday.
+ * @param {string} token - e.g. "Mon,Thu", "Mon-Fri", "saturday", "daily"
+ * @returns {number[]} Weekdays, sorted, 0 = Sunday
+ * @throws {Error} When a name is not a day
+ * @private
+ */
+function parseDays(token) {
+  if (token.toLowerCase() === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+  const days = token.split(',').filter(Boolean).flatMap(part => {
+    const [first, last = first] = part.split('-').map(dayNumber);
+    const run = [first];
+    for (let day = first; day !== last; run.push(day)) day = (day + 1) % 7;
+    return run;
+  });
+  if (days.length === 0) throw new Error(`"${token}" names no days`);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Looks up one day name, three-letter or full.
+ * @param {string} name - e.g. "Mon", "saturday"
+ * @returns {number} Weekday, 0 = Sunday
+ * @throws {Error} When it is not a day name
+ * @private
+ */
+function dayNumber(name) {
+  const lower = name.toLowerCase();
+  const day = Math.max(DAY_NAMES.indexOf(lower), FULL_DAY_NAMES.indexOf(lower));
+  if (day === -1) throw new Error(`"${name}" is not a day name`);
+  return day;
+}
+
+/**
+ * Checks that a timezone name is one Intl knows.
+ * @param {string} timeZone - IANA name, e.g. 'Europe/Berlin'
+ * @returns {boolean} True when it can be used
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The host's own timezone, for when none is configured.
+ * @returns {string} IANA name
+ */
+export function hostTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} month is 1-12
+ * @private
+ */
+function wallClock(epochMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(epochMs);
+  const field = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: field('year'), month: field('month'), day: field('day'), hour: field('hour'), minute: field('minute') };
+}
+
+/**
+ * The instant a wall-clock time falls on in a timezone. Found by correcting a
+ * UTC guess by the zone's offset, twice, so a time next to a daylight-saving
+ * change lands on the right side of it. A time the change skips (02:30 on a
+ * spring-forward night) comes out an hour later: the two passes then straddle
+ * the change, and which one reads an hour early depends on the side of UTC the
+ * zone is on, so the later one is taken.
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour, 0-23
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA name
+ * @returns {number} Epoch ms
+ * @private
+ */
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (epochMs) => {
+    const w = wallClock(epochMs, timeZone);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute) - Math.floor(epochMs / 60000) * 60000;
+  };
+  const first = target - offsetAt(target);
+  const second = target - offsetAt(first);
+  const landed = wallClock(second, timeZone);
+  return landed.hour === hour && landed.minute === minute ? second : Math.max(first, second);
+}
+
+/**
+ * The next moment, strictly after fromMs, that any slot of a schedule is due.
+ * @param {ScheduleSlot[]} slots - Parsed schedule
+ * @param {string} timeZone - IANA name the times are in
+ * @param {number} [fromMs] - Instant to search from; defaults to now
+ * @returns {number} Epoch ms of the next slot
+ */
+export function nextScheduled(slots, timeZone, fromMs = Date.now()) {
+  const today = wallClock(fromMs, timeZone);
+  let next = Infinity;
+  // Eight calendar days always reach every weekday at least once after today's
+  // remaining slots, whichever side of the hour fromMs falls on.
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    for (const slot of slots) {
+      if (slot.days && !slot.days.includes(date.getUTCDay())) continue;
+      const at = zonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), slot.hour, slot.minute, timeZone);
+      if (at > fromMs && at < next) next = at;
+    }
+    if (next !== Infinity) break;
+  }
+  return next;
+}
+
+/**
+ * The opening-hours windows around an instant: every window that opens from the
+ * day before fromMs to a week after it, as instants, earliest first. Windows that
+ * overlap or meet - "Mon 18:00-00:00; Tue 00:00-02:00" - are merged into one,
+ * so a server is never closed and opened again at the seam.
+ * @param {HoursSlot[]} hours - Parsed opening hours
+ * @param {string} timeZone - IANA name the times are in
+ * @param {number} [fromMs] - Instant to resolve around; defaults to now
+ * @returns {{opensAt: number, closesAt: number}[]} Windows, epoch ms, earliest first
+ */
+export function operatingWindows(hours, timeZone, fromMs = Date.now()) {
+  const today = wallClock(fromMs, timeZone);
+  const windows = [];
+  // From yesterday, whose overnight windows may still be open.
+  for (let offset = -1; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    for (const slot of hours) {
+      if (slot.days && !slot.days.includes(date.getUTCDay())) continue;
+      const overnight = slot.close.hour * 60 + slot.close.minute <= slot.open.hour * 60 + slot.open.minute;
+      windows.push({
+        opensAt: zonedTime(year, month, day, slot.open.hour, slot.open.minute, timeZone),
+        closesAt: zonedTime(year, month, day + (overnight ? 1 : 0), slot.close.hour, slot.close.minute, timeZone)
+      });
+    }
+  }
+
+  windows.sort((a, b) => a.opensAt - b.opensAt);
+  const merged = [];
+  for (const window of windows) {
+    const last = merged[merged.length - 1];
+    if (last && window.opensAt <= last.closesAt) last.closesAt = Math.max(last.closesAt, window.closesAt);
+    else merged.push({ ...window });
+  }
+  return merged;
+}
+
+/**
+ * Formats a schedule back into the text form parseSchedule reads, for logs and
+ * status lines.
+ * @param {ScheduleSlot[]} slots - Parsed schedule
+ * @returns {string} e.g. "Mon,Thu 05:30; daily 04:00"
+ */
+export function formatSchedule(slots) {
+  return slots.map(slot => `${formatDays(slot.days)} ${formatTime(slot)}`).join('; ');
+}
+
+/**
+ * Formats opening hours back into the text form parseHours reads, for logs.
+ * @param {HoursSlot[]} hours - Parsed opening hours
+ * @returns {string} e.g. "Mon,Tue,Wed,Thu,Fri 18:00-23:30; daily 12:00-02:00"
+ */
+export function formatHours(hours) {
+  return hours.map(slot => `${formatDays(slot.days)} ${formatTime(slot.open)}-${formatTime(slot.close)}`).join('; ');
+}
+
+/**
+ * @param {number[]|null} days - Weekdays, 0 = Sunday; null for daily
+ * @returns {string} e.g. "Mon,Thu" or "daily"
+ * @private
+ */
+function formatDays(days) {
+  return days ? days.map(d => DAY_NAMES[d][0].toUpperCase() + DAY_NAMES[d].slice(1)).join(',') : 'daily';
+}
+
+/**
+ * @param {{hour: number, minute: number}} time - Time of day
+ * @returns {string} e.g. "05:30"
+ * @private
+ */
+function formatTime({ hour, minute }) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
@@ -0,0 +1,326 @@
+/**
+ * Gzip'd tar archives, built with node:zlib alone
+ *
+ * Just enough of the POSIX ustar format to pack a directory tree of regular
+ * files and folders into one .tar.gz and read it back - no symlinks, devices or
+ * extended headers, none of which a game's save folder contains. The output is
+ * a standard archive: tar, 7-Zip and Windows' own tar.exe all open it, which
+ * matters when an operator needs a save back without the bot.
+ *
+ * Both directions stream, so a save folder of any size never sits in memory
+ * whole, and both hash every file with SHA-256 on the way through.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import crypto from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+
+/** tar works in 512-byte blocks: each header is one, each file is padded to one. */
+const BLOCK = 512;
+
+/**
+ * One regular file in an archive.
+ * @typedef {Object} TarFile
+ * @property {string} path - Path inside the archive, '/'-separated
+ * @property {number} size - Size in bytes
+ * @property {string} sha256 - Hex SHA-256 of the contents
+ */
+
+/**
+ * Writes a number into a header field as zero-padded octal, NUL-terminated.
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length, terminator included
+ * @param {number} value - Value to write
+ * @private
+ */
+function writeOctal(header, offset, length, value) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+/**
+ * Reads a NUL- or space-terminated octal header field.
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Parsed value; NaN when the field is not octal
+ * @private
+ */
+function readOctal(header, offset, length) {
+  const text = header.toString('ascii', offset, offset + length).replace(/[\0 ].*$/s, '');
+  return /^[0-7]+$/.test(text) ? parseInt(text, 8) : NaN;
+}
+
+/**
+ * Reads a NUL-terminated string header field.
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field text
+ * @private
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Sum of a header's bytes with the checksum field counted as spaces - the tar
+ * header checksum.
+ * @param {Buffer} header - Header block
+ * @returns {number} Checksum
+ * @private
+ */
+function headerChecksum(header) {
+  let sum = 8 * 0x20;
+  for (let i = 0; i < BLOCK; i++) {
+    if (i < 148 || i >= 156) sum += header[i];
+  }
+  return sum;
+}
+
+/**
+ * Builds one ustar header block. Names over 100 bytes are split at a '/' into
+ * the prefix field, as ustar allows.
+ * @param {string} name - Entry path, '/'-separated; directories end in '/'
+ * @param {{size: number, mtime: Date, directory: boolean}} entry - Entry details
+ * @returns {Buffer} The header block
+ * @throws {Error} When the name is too long for a ustar header
+ * @private
+ */
+function buildHeader(name, { size, mtime, directory }) {
+  let prefix = '';
+  let base = name;
+  if (Buffer.byteLength(name) > 100) {
+    const split = name.lastIndexOf('/', name.length - 2);
+    prefix = name.slice(0, split);
+    base = name.slice(split + 1);
+    if (split === -1 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(base) > 100) {
+      throw new Error(`Path too long for a tar archive: ${name}`);
+    }
+  }
+
+  const header = Buffer.alloc(BLOCK);
+  header.write(base, 0, 100, 'utf8');
+  writeOctal(header, 100, 8, directory ? 0o755 : 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+  header.write(directory ? '5' : '0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+  header.write(`${headerChecksum(header).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Lists a directory tree depth-first in a stable order, directories before
+ * their contents.
+ * @param {string} root - Directory to walk
+ * @param {string} [relative] - Path of the current directory inside root
+ * @returns {Promise<Array<{name: string, full: string, directory: boolean}>>} Entries
+ * @private
+ */
+async function walk(root, relative = '') {
+  const entries = [];
+  const dirents = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+  dirents.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const dirent of dirents) {
+    const name = relative ? `${relative}/${dirent.name}` : dirent.name;
+    const full = path.join(root, name);
+    if (dirent.isDirectory()) {
+      entries.push({ name: `${name}/`, full, directory: true });
+      entries.push(...await walk(root, name));
+    } else if (dirent.isFile()) {
+      entries.push({ name, full, directory: false });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Generates the tar stream for a directory, block by block, recording each
+ * regular file's size and hash into files as it goes.
+ * @param {string} sourceDir - Directory whose contents to pack
+ * @param {TarFile[]} files - Receives every regular file packed
+ * @returns {AsyncGenerator<Buffer>} Tar data
+ * @private
+ */
+async function* tarStream(sourceDir, files) {
+  for (const entry of await walk(sourceDir)) {
+    const stat = await fs.promises.stat(entry.full);
+    if (entry.directory) {
+      yield buildHeader(entry.name, { size: 0, mtime: stat.mtime, directory: true });
+      continue;
+    }
+
+    yield buildHeader(entry.name, { size: stat.size, mtime: stat.mtime, directory: false });
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    if (stat.size > 0) {
+      for await (const chunk of fs.createReadStream(entry.full)) {
+        // Never write more than the header promised, should the file grow mid-read.
+        const part = chunk.subarray(0, stat.size - size);
+        hash.update(part);
+        size += part.length;
+        yield part;
+        if (size === stat.size) break;
+      }
+    }
+    if (size !== stat.size) throw new Error(`${entry.name} shrank while it was being archived`);
+    if (size % BLOCK) yield Buffer.alloc(BLOCK - (size % BLOCK));
+    files.push({ path: entry.name, size, sha256: hash.digest('hex') });
+  }
+  yield Buffer.alloc(2 * BLOCK);
+}
+
+/**
+ * Packs a directory into a gzip'd tar archive, hashing every file on the way.
+ * Files are archived with their contents at the moment each is read; the caller
+ * makes sure nothing is writing to them.
+ * @param {string} sourceDir - Directory whose contents to pack
+ * @param {string} archivePath - Archive to create; overwritten if it exists
+ * @returns {Promise<TarFile[]>} Every regular file packed, in archive order
+ */
+export async function createTarGz(sourceDir, archivePath) {
+  const files = [];
+  await pipeline(tarStream(sourceDir, files), zlib.createGzip(), fs.createWriteStream(archivePath));
+  return files;
+}
+
+/**
+ * Reads a gzip'd tar archive front to back, handing each entry to a visitor and
+ * hashing every file's contents. Throws on anything that is not a well-formed
+ * archive: a bad gzip stream, a header whose checksum fails, or data cut short.
+ * @param {string} archivePath - Archive to read
+ * @param {object} visitor - Receives the entries, in archive order
+ * @param {(name: string) => void} [visitor.directory] - Called for each directory
+ * @param {(name: string, size: number) => ((chunk: Buffer) => void)|void} [visitor.file] -
+ *   Called at the start of each file; may return a sink that receives its contents
+ * @param {(file: TarFile) => void} [visitor.fileEnd] - Called when a file is complete
+ * @returns {Promise<void>}
+ */
+export async function readTarGz(archivePath, visitor = {}) {
+  await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), (source) => parseTar(source, visitor));
+}
+
+/**
+ * The tar half of readTarGz: walks the decompressed stream block by block.
+ * @param {AsyncIterable<Buffer>} stream - Decompressed tar data
+ * @param {object} visitor - See readTarGz
+ * @returns {Promise<void>}
+ * @private
+ */
+async function parseTar(stream, visitor) {
+  let pending = Buffer.alloc(0);
+  let current = null; // { name, size, remaining, padding, hash, sink }
+  let ended = false;
+
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+    while (!ended) {
+      if (current) {
+        if (current.remaining > 0) {
+          if (pending.length === 0) break;
+          const part = pending.subarray(0, current.remaining);
+          pending = pending.subarray(part.length);
+          current.remaining -= part.length;
+          current.hash.update(part);
+          current.sink?.(part);
+          continue;
+        }
+        if (pending.length < current.padding) break;
+        pending = pending.subarray(current.padding);
+        visitor.fileEnd?.({ path: current.name, size: current.size, sha256: current.hash.digest('hex') });
+        current = null;
+        continue;
+      }
+
+      if (pending.length < BLOCK) break;
+      const header = pending.subarray(0, BLOCK);
+      pending = pending.subarray(BLOCK);
+      if (header.every(byte => byte === 0)) {
+        ended = true;
+        break;
+      }
+      if (readOctal(header, 148, 8) !== headerChecksum(header)) throw new Error('Archive is corrupt: bad header checksum');
+
+      const base = readString(header, 0, 100);
+      const prefix = readString(header, 345, 155);
+      const name = prefix ? `${prefix}/${base}` : base;
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156]);
+      if (!Number.isFinite(size)) throw new Error(`Archive is corrupt: bad size for ${name}`);
+
+      if (type === '5') {
+        visitor.directory?.(name);
+        continue;
+      }
+      if (type !== '0' && type !== '\0') throw new Error(`Archive holds an unsupported entry type for ${name}`);
+      current = {
+        name,
+        size,
+        remaining: size,
+        padding: size % BLOCK ? BLOCK - (size % BLOCK) : 0,
+        hash: crypto.createHash('sha256'),
+        sink: visitor.file?.(name, size) || null
+      };
+    }
+  }
+
+  if (!ended) throw new Error('Archive is corrupt: it ends before its last entry');
+}
+
+/**
+ * Resolves an archive entry name to a path inside a directory, refusing absolute
+ * names and any that climb out of it.
+ * @param {string} root - Directory being extracted into
+ * @param {string} name - Entry name from the archive
+ * @returns {string} Absolute path inside root
+ * @throws {Error} When the name would land outside root
+ * @private
+ */
+function safeTarget(root, name) {
+  const target = path.resolve(root, name);
+  const relative = path.relative(root, target);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || path.isAbsolute(name)) {
+    throw new Error(`Archive entry escapes the target folder: ${name}`);
+  }
+  return target;
+}
+
+/**
+ * Extracts a gzip'd tar archive into a directory, which is created if missing.
+ * @param {string} archivePath - Archive to extract
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<TarFile[]>} Every file extracted, with its hash as read
+ */
+export async function extractTarGz(archivePath, destDir) {
+  const root = path.resolve(destDir);
+  fs.mkdirSync(root, { recursive: true });
+  const files = [];
+  let fd = null;
+  try {
+    await readTarGz(archivePath, {
+      directory: (name) => fs.mkdirSync(safeTarget(root, name), { recursive: true }),
+      file: (name) => {
+        const target = safeTarget(root, name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fd = fs.openSync(target, 'w');
+        return (chunk) => fs.writeSync(fd, chunk);
+      },
+      fileEnd: (file) => {
+        fs.closeSync(fd);
+        fd = null;
+        files.push(file);
+      }
+    });
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+  return files;
+}
@@ -0,0 +1,402 @@
+/**
+ * World settings
+ *
+ * Knowledge about Palworld's world settings (PalWorldSettings.ini), shared by
+ * the commands that show and edit them: which category each key belongs in, how
+ * a value reads, which keys must never be shown or changed, and how the ini file
+ * itself is read and written. The live values come from the REST API
+ * (palworld.getSettings); edits go to the file, which the server reads only at
+ * startup.
+ *
+ * The category lists name the keys this bot knows about; a key a later server
+ * build adds still shows up - under Rates when its name ends in "Rate", under
+ * Other otherwise - so nothing is silently hidden.
+ *
+ * THE INI FORMAT: every world setting sits on ONE line,
+ *   OptionSettings=(Difficulty=None,ExpRate=1.000000,ServerName="My Server",...)
+ * Values are bare numbers, True/False, bare enum names, "quoted text", or a
+ * parenthesised list such as CrossplayPlatforms=(Steam,Xbox). Editing rewrites
+ * only the values that changed and leaves every other byte of the file - other
+ * sections, line endings, a BOM - exactly as it was.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import config from './config/index.js';
+
+/**
+ * Categories in display order. A key belongs to the first category that lists it.
+ * @type {Array<{name: string, keys: string[]}>}
+ */
+export const SETTING_CATEGORIES = [
+  {
+    name: 'Rates',
+    keys: [
+      'Difficulty', 'ExpRate', 'PalCaptureRate', 'PalSpawnNumRate', 'WorkSpeedRate',
+      'DayTimeSpeedRate', 'NightTimeSpeedRate', 'PalEggDefaultHatchingTime',
+      'PalDamageRateAttack', 'PalDamageRateDefense', 'PlayerDamageRateAttack', 'PlayerDamageRateDefense',
+      'PlayerStomachDecreaceRate', 'PlayerStaminaDecreaceRate', 'PlayerAutoHPRegeneRate', 'PlayerAutoHpRegeneRateInSleep',
+      'PalStomachDecreaceRate', 'PalStaminaDecreaceRate', 'PalAutoHPRegeneRate', 'PalAutoHpRegeneRateInSleep',
+      'BuildObjectHpRate', 'BuildObjectDamageRate', 'BuildObjectDeteriorationDamageRate',
+      'CollectionDropRate', 'CollectionObjectHpRate', 'CollectionObjectRespawnSpeedRate', 'EnemyDropItemRate',
+      'ItemWeightRate', 'EquipmentDurabilityDamageRate'
+    ]
+  },
+  {
+    name: 'PvP',
+    keys: [
+      'bIsPvP', 'bEnablePlayerToPlayerDamage', 'bEnableFriendlyFire', 'bEnableDefenseOtherGuildPlayer',
+      'bEnableInvaderEnemy', 'bEnableAimAssistPad', 'bEnableAimAssistKeyboard'
+    ]
+  },
+  {
+    name: 'Death penalty',
+    keys: [
+      'DeathPenalty', 'bHardcore', 'bPalLost', 'bCharacterRecreateInHardcore',
+      'bCanPickupOtherGuildDeathPenaltyDrop', 'DropItemMaxNum', 'DropItemMaxNum_UNKO',
+      'DropItemAliveMaxHours', 'bActiveUNKO'
+    ]
+  },
+  {
+    name: 'Base limits',
+    keys: [
+      'BaseCampMaxNum', 'BaseCampWorkerMaxNum', 'BaseCampMaxNumInGuild', 'GuildPlayerMaxNum',
+      'MaxBuildingLimitNum', 'bBuildAreaLimit', 'bAutoResetGuildNoOnlinePlayers',
+      'AutoResetGuildTimeNoOnlinePlayers', 'bEnableNonLoginPenalty', 'bInvisibleOtherGuildBaseCampAreaFX'
+    ]
+  },
+  {
+    name: 'Server',
+    keys: [
+      'ServerName', 'ServerDescription', 'ServerPlayerMaxNum', 'CoopPlayerMaxNum', 'bIsMultiplay',
+      'PublicIP', 'PublicPort', 'Region', 'bUseAuth', 'BanListURL', 'bShowPlayerList',
+      'AllowConnectPlatform', 'CrossplayPlatforms', 'RCONEnabled', 'RCONPort', 'RESTAPIEnabled', 'RESTAPIPort',
+      'bIsUseBackupSaveData', 'AutoSaveSpan', 'LogFormatType', 'bEnableFastTravel',
+      'bIsStartLocationSelectByMap', 'bExistPlayerAfterLogout', 'ChatPostLimitPerMinute'
+    ]
+  }
+];
+
+/** Catch-all category for keys no list names and no rule places. */
+const OTHER_CATEGORY = 'Other';
+
+/**
+ * Keys whose values must never reach Discord. The REST API is not documented to
+ * leave the passwords out, so they are dropped here whatever it returns.
+ */
+const SECRET_KEY_PATTERN = /password/i;
+
+/**
+ * Keys /palconfig refuses to change on top of the secret ones: the REST API is
+ * how the bot talks to the server, so switching it off or moving its port would
+ * cut the bot off at the next start.
+ */
+const PROTECTED_KEYS = ['RESTAPIEnabled', 'RESTAPIPort'];
+
+/** Allowed values for the enum settings whose values are known. */
+const ENUM_VALUES = {
+  Difficulty: ['None', 'Normal', 'Difficult'],
+  DeathPenalty: ['None', 'Item', 'ItemAndEquipment', 'All'],
+  LogFormatType: ['Text', 'Json'],
+  AllowConnectPlatform: ['Steam', 'Xbox']
+};
+
+/**
+ * Bounds for the numeric settings whose useful range is known. Every other
+ * number only has to be at least 0: no Palworld setting takes a negative, and
+ * the game does not refuse one itself - it just misbehaves.
+ */
+const NUMBER_LIMITS = {
+  ServerPlayerMaxNum: { min: 1, max: 32 },
+  CoopPlayerMaxNum: { min: 1, max: 32 },
+  GuildPlayerMaxNum: { min: 1, max: 100 },
+  BaseCampMaxNum: { min: 1 },
+  BaseCampMaxNumInGuild: { min: 1, max: 10 },
+  BaseCampWorkerMaxNum: { min: 1, max: 50 },
+  ChatPostLimitPerMinute: { min: 1 },
+  AutoSaveSpan: { min: 1 },
+  PublicPort: { min: 1, max: 65535 },
+  RCONPort: { min: 1, max: 65535 }
+};
+
+/** Longest text value accepted for a quoted setting, e.g. ServerDescription. */
+const MAX_TEXT_LENGTH = 200;
+
+/** The OptionSettings line: leader, the bracketed body, and whatever trails it. */
+const OPTION_LINE_PATTERN = /^([ \t]*OptionSettings[ \t]*=[ \t]*)\((.*)\)([ \t\r]*)$/m;
+
+/**
+ * Whether a key's value must never be shown.
+ * @param {string} key - Settings key
+ * @returns {boolean} True for passwords
+ */
+export function isSecretSetting(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Whether the bot may change a key: everything but the secret and protected keys.
+ * @param {string} key - Settings key
+ * @returns {boolean} True when /palconfig and presets may write it
+ */
+export function isEditableSetting(key) {
+  return !isSecretSetting(key) && !PROTECTED_KEYS.includes(key);
+}
+
+/**
+ * The category a key is shown under.
+ * @param {string} key - Settings key
+ * @returns {string} Category name
+ */
+export function settingCategory(key) {
+  const listed = SETTING_CATEGORIES.find(c => c.keys.includes(key));
+  if (listed) return listed.name;
+  return /Rate$/.test(key) ? 'Rates' : OTHER_CATEGORY;
+}
+
+/**
+ * Renders a value the way PalWorldSettings.ini spells it, so what the bot shows
+ * is what an admin would type: True/False rather than JSON's true/false. Strings
+ * are shown bare - the API reports enum values (DeathPenalty=All) and quoted
+ * text (ServerName="...") alike as plain strings.
+ * @param {*} value - Value from the settings object
+ * @returns {string} Display form
+ */
+export function formatSettingValue(value) {
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return String(value);
+}
+
+/**
+ * Groups a settings object into categories, in display order with the keys in
+ * catalog order and unlisted keys alphabetically after them. Secret keys are left
+ * out; empty categories are dropped.
+ * @param {Object<string, *>} settings - Settings keyed by ini name
+ * @returns {Array<{name: string, entries: Array<[string, *]>}>} Non-empty categories
+ */
+export function categorizeSettings(settings) {
+  const names = [...SETTING_CATEGORIES.map(c => c.name), OTHER_CATEGORY];
+  const order = new Map(SETTING_CATEGORIES.flatMap(c => c.keys).map((k, i) => [k, i]));
+  const rank = (key) => order.get(key) ?? Number.MAX_SAFE_INTEGER;
+
+  return names
+    .map(name => ({
+      name,
+      entries: Object.entries(settings)
+        .filter(([key]) => !isSecretSetting(key) && settingCategory(key) === name)
+        .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+    }))
+    .filter(c => c.entries.length > 0);
+}
+
+/**
+ * Resolves a typed key against a settings object, case-insensitively.
+ * @param {Object<string, *>} settings - Settings keyed by ini name
+ * @param {string} query - Key as typed
+ * @returns {string|undefined} The key as the settings spell it, if present and not secret
+ */
+export function findSettingKey(settings, query) {
+  const lowered = query.trim().toLowerCase();
+  return Object.keys(settings).find(k => k.toLowerCase() === lowered && !isSecretSetting(k));
+}
+
+/**
+ * Autocomplete choices for a settings key, from the catalog - answering from it
+ * needs no server round trip, and works while the server is down.
+ * @param {string} typed - Partial text from the focused option
+ * @returns {Array<{name: string, value: string}>} Up to 25 choices, Discord's cap
+ */
+export function settingKeyChoices(typed) {
+  const needle = typed.trim().toLowerCase();
+  return SETTING_CATEGORIES
+    .flatMap(c => c.keys)
+    .filter(k => k.toLowerCase().includes(needle))
+    .slice(0, 25)
+    .map(k => ({ name: k, value: k }));
+}
+
+/**
+ * Absolute path to PalWorldSettings.ini: WORLD_SETTINGS_PATH when set, otherwise
+ * the standard location under the server install (STEAM_INSTALL_DIR, falling
+ * back to START_CWD, the same root the update-on-start check uses).
+ * @returns {string|null} The path, or null when nothing configures it
+ */
+export function worldSettingsPath() {
+  if (config.server.worldSettingsPath) return config.server.worldSettingsPath;
+  const root = config.steam.installDir || config.server.startWorkingDirectory;
+  return root ? path.join(root, 'Pal', 'Saved', 'Config', 'WindowsServer', 'PalWorldSettings.ini') : null;
+}
+
+/**
+ * Splits the OptionSettings body on its top-level commas - not those inside a
+ * quoted value or a parenthesised list.
+ * @param {string} body - Text between the outer parentheses
+ * @returns {string[]} 'Key=Value' parts
+ * @private
+ */
+function splitTopLevel(body) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === '(') depth++;
+    else if (!quoted && ch === ')') depth--;
+    else if (!quoted && depth === 0 && ch === ',') {
+      parts.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(body.slice(start));
+  return parts.filter(p => p.trim() !== '');
+}
+
+/**
+ * Parses the OptionSettings line of a PalWorldSettings.ini.
+ * @param {string} text - Whole file contents
+ * @returns {Map<string, string>|null} Key -> raw value as written, in file order;
+ *   null when the file has no OptionSettings line
+ */
+export function parseOptionSettings(text) {
+  const match = OPTION_LINE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const entries = new Map();
+  for (const part of splitTopLevel(match[2])) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    entries.set(part.slice(0, eq).trim(), part.slice(eq + 1).trim());
+  }
+  return entries;
+}
+
+/**
+ * Writes entries back into a file's OptionSettings line, leaving the rest of the
+ * file untouched.
+ * @param {string} text - Whole file contents, as read
+ * @param {Map<string, string>} entries - Key -> raw value, in the order to write
+ * @returns {string} The new file contents
+ */
+export function serializeOptionSettings(text, entries) {
+  const body = [...entries].map(([key, raw]) => `${key}=${raw}`).join(',');
+  // A replacer function, so a '$' in a value is never read as a pattern reference.
+  return text.replace(OPTION_LINE_PATTERN, (_, leader, _body, trailer) => `${leader}(${body})${trailer}`);
+}
+
+/**
+ * Reads and parses PalWorldSettings.ini. Throws with an operator-readable message
+ * when the path is not configured, the file is missing, or it holds no settings -
+ * a fresh install leaves the file EMPTY until DefaultPalWorldSettings.ini has
+ * been copied over it.
+ * @returns {{file: string, text: string, entries: Map<string, string>}} Path, contents and parsed entries
+ */
+export function readWorldSettings() {
+  const file = worldSettingsPath();
+  if (!file) throw new Error('Settings file location unknown: set WORLD_SETTINGS_PATH, STEAM_INSTALL_DIR or START_CWD.');
+  if (!fs.existsSync(file)) throw new Error(`Settings file not found: ${file}`);
+
+  const text = fs.readFileSync(file, 'utf8');
+  const entries = parseOptionSettings(text);
+  if (!entries) {
+    throw new Error('PalWorldSettings.ini has no OptionSettings line. Copy DefaultPalWorldSettings.ini over it first.');
+  }
+  return { file, text, entries };
+}
+
+/**
+ * Replaces PalWorldSettings.ini atomically, via a temporary file and a rename,
+ * so a bot killed mid-write leaves the previous settings rather than a torn file.
+ * @param {string} file - Path from readWorldSettings
+ * @param {string} text - New file contents
+ */
+export function writeWorldSettings(file, text) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, text);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * The kind of value a setting holds, judged from how the file currently writes it.
+ * @param {string} raw - Raw value from the file
+ * @returns {'text'|'boolean'|'integer'|'decimal'|'list'|'enum'} Value kind
+ */
+export function settingKind(raw) {
+  if (/^".*"$/s.test(raw)) return 'text';
+  if (/^(True|False)$/i.test(raw)) return 'boolean';
+  if (/^-?\d+$/.test(raw)) return 'integer';
+  if (/^-?\d+\.\d+$/.test(raw)) return 'decimal';
+  if (/^\(.*\)$/s.test(raw)) return 'list';
+  return 'enum';
+}
+
+/**
+ * Validates a value typed into /palconfig against the kind of value the file
+ * holds for that key, and the key's range for numbers (see NUMBER_LIMITS), and
+ * encodes it the way the ini writes it.
+ * @param {string} key - Settings key, as the file spells it
+ * @param {string} input - Value as typed
+ * @param {string} currentRaw - The key's raw value in the file
+ * @returns {string} Raw value to write
+ * @throws {Error} With a message fit to show the admin when the value is refused
+ */
+export function encodeSettingValue(key, input, currentRaw) {
+  if (!isEditableSetting(key)) {
+    throw new Error(`\`${key}\` can't be changed from Discord - edit the ini by hand.`);
+  }
+
+  const value = input.trim();
+  const kind = settingKind(currentRaw);
+  switch (kind) {
+    case 'boolean':
+      if (/^(true|on|yes)$/i.test(value)) return 'True';
+      if (/^(false|off|no)$/i.test(value)) return 'False';
+      throw new Error(`\`${key}\` is True or False.`);
+
+    case 'integer':
+    case 'decimal': {
+      if (!/^-?\d+(\.\d+)?$/.test(value)) throw new Error(`\`${key}\` is a number.`);
+      if (kind === 'integer' && value.includes('.')) throw new Error(`\`${key}\` is a whole number.`);
+      const { min = 0, max = Infinity } = NUMBER_LIMITS[key] ?? {};
+      const number = Number(value);
+      if (number < min || number > max) {
+        throw new Error(max === Infinity
+          ? (min === 0 ? `\`${key}\` can't be negative.` : `\`${key}\` is at least ${min}.`)
+          : `\`${key}\` is between ${min} and ${max}.`);
+      }
+      return kind === 'integer' ? String(parseInt(value, 10)) : Number(value).toFixed(6);
+    }
+
+    case 'text':
+      if (/["\u0000-\u001f]/.test(value)) throw new Error(`\`${key}\` can't contain quotes or control characters.`);
+      if (value.length > MAX_TEXT_LENGTH) throw new Error(`\`${key}\` is limited to ${MAX_TEXT_LENGTH} characters.`);
+      return `"${value}"`;
+
+    case 'list': {
+      const items = value.replace(/^\(|\)$/g, '').split(',').map(v => v.trim());
+      if (!items.every(v => /^[A-Za-z][A-Za-z0-9_]*$/.test(v))) {
+        throw new Error(`\`${key}\` is a list of names, e.g. \`${currentRaw}\`.`);
+      }
+      return `(${items.join(',')})`;
+    }
+
+    default: {
+      const allowed = ENUM_VALUES[key];
+      const match = allowed?.find(v => v.toLowerCase() === value.toLowerCase());
+      if (allowed && !match) throw new Error(`\`${key}\` is one of: ${allowed.join(', ')}.`);
+      if (!allowed && !/^[A-Za-z][A-Za-z0-9_]*$/.test(value)) throw new Error(`\`${key}\` is a single name, like its current \`${currentRaw}\`.`);
+      return match ?? value;
+    }
+  }
+}
+
+/**
+ * Resolves a typed key against the file's entries, case-insensitively.
+ * @param {Map<string, string>} entries - Parsed OptionSettings
+ * @param {string} query - Key as typed
+ * @returns {string|undefined} The key as the file spells it
+ */
+export function findIniKey(entries, query) {
+  const lowered = query.trim().toLowerCase();
+  return [...entries.keys()].find(k => k.toLowerCase() === lowered);
+}